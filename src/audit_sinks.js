@@ -0,0 +1,47 @@
+'use strict';
+const Promise = require('bluebird');
+const fs = Promise.promisifyAll(require('fs'));
+
+/**
+* @summary An audit sink that appends each audit log entry to a file, as one line of JSON.
+* @desc An audit sink can be passed to {@link snoowrap#config} with the `audit_sink` option, which causes snoowrap to report
+every request that modifies something on reddit (i.e. every request that is not a GET request) to it. An audit sink is any
+object with a `write(entry)` method that returns a Promise that fulfills once the entry has been stored. Entries are plain
+objects with the following properties:
+
+- `timestamp`: The time when the request finished, in milliseconds
+- `account`: The name of the account that the request was sent from, if it is known
+- `action`: The name of the snoowrap method that sent the request (e.g. `'ban_user'`)
+- `target`: The object that the method was called on. This is a fullname (e.g. `'t1_c0b6xx0'`) for comments, submissions,
+private messages and live threads, as well as for subreddits and users that have been fetched. Unfetched subreddits and users
+are identified by their names, wiki pages by their subreddit and title (e.g. `'AskReddit/index'`), and other objects by their
+name or ID.
+- `target_type`: The class of the object that the method was called on (e.g. `'Subreddit'`)
+- `method` and `uri`: The HTTP method and the uri of the request
+- `params`: The parameters that were sent with the request, without any credentials
+- `result`: Either `'success'` or `'failure'`
+- `status_code`: The status code of reddit's response, if a response was received
+- `error`: For failed requests, an object with the `name`, `code` and `message` of the error
+
+The requester waits for each entry to be written before the Promise for the request is settled. If the entry can't be
+written, an error is logged, but the request itself is not affected.
+
+This sink never truncates the file, so one file can hold the entries of several requesters and of several runs of a program.
+If the file doesn't exist yet, it is created with mode 0600, because entries contain the parameters of each request (such as
+the text of private messages and the reasons for bans). The mode of an existing file is left as it is.
+* @param {object} $0
+* @param {string} $0.path The path of the file. It will be created when the first entry is written.
+*/
+exports.JsonlFileAuditSink = class {
+  constructor ({path}) {
+    this.path = path;
+  }
+  /**
+  * @summary Appends an entry to the file.
+  * @param {object} entry The audit log entry
+  * @returns {Promise} A Promise that fulfills when the entry has been written
+  */
+  write (entry) {
+    return fs.appendFileAsync(this.path, `${JSON.stringify(entry)}\n`, {mode: 0o600});
+  }
+};
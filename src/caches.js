@@ -0,0 +1,54 @@
+'use strict';
+const Promise = require('bluebird');
+
+/**
+* @summary A response cache that keeps a limited number of entries in memory.
+* @desc A response cache can be passed to {@link snoowrap#config} with the `cache` option, which causes snoowrap to store the
+responses to GET requests and reuse them until they expire. A cache is any object with a `get(key)` method that returns a
+Promise for the entry with the given key (or `undefined` if there is none), and a `set(key, entry)` method that returns a
+Promise that fulfills once the entry has been stored. Keys are strings, and entries are plain objects that can be converted to
+JSON, so custom caches (e.g. backed by Redis) can be used to share cached responses between processes. Each key contains a
+hash that identifies the requester's account, so responses are only shared between requesters that use the same account.
+
+Cache stores don't need to remove expired entries, since snoowrap checks the expiration time of each entry itself. (Expired
+entries can still be useful, because snoowrap uses them to send conditional requests if reddit provided an `ETag` or a
+`Last-Modified` header.)
+
+This cache discards the least-recently-used entry once it contains `max_entries` entries.
+* @param {object} [$0]
+* @param {number} [$0.max_entries=1000] The maximum number of entries that should be kept in the cache
+*/
+exports.MemoryCache = class {
+  constructor ({max_entries = 1000} = {}) {
+    this.max_entries = max_entries;
+    // Maps iterate in insertion order, so the least-recently-used entry is always the first one.
+    this._entries = new Map();
+  }
+  /**
+  * @summary Gets an entry from the cache.
+  * @param {string} key The key of the entry
+  * @returns {Promise} A Promise that fulfills with the entry, or with `undefined` if the cache has no entry with this key
+  */
+  get (key) {
+    const entry = this._entries.get(key);
+    if (entry !== undefined) {
+      this._entries.delete(key);
+      this._entries.set(key, entry);
+    }
+    return Promise.resolve(entry);
+  }
+  /**
+  * @summary Stores an entry in the cache, replacing any existing entry with the same key.
+  * @param {string} key The key of the entry
+  * @param {object} entry The entry to store
+  * @returns {Promise} A Promise that fulfills when the entry has been stored
+  */
+  set (key, entry) {
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    if (this._entries.size > this.max_entries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+};
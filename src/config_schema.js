@@ -0,0 +1,66 @@
+'use strict';
+const _ = require('lodash');
+const constants = require('./constants');
+
+/* Describes the valid values for each config option. Each option has a `description` of the values that it accepts (which is
+used in error messages), and a `validate` function that returns `true` if a value is valid. For more information on the
+options themselves, see the documentation for snoowrap#config(). */
+const string = {description: 'a string', validate: _.isString};
+const nullable_string = {description: 'a string or null', validate: value => value === null || _.isString(value)};
+const boolean = {description: 'a boolean', validate: _.isBoolean};
+const number = {description: 'a number', validate: value => typeof value === 'number' && !isNaN(value)};
+const non_negative_number = {description: 'a non-negative number', validate: value => number.validate(value) && value >= 0};
+const positive_number = {description: 'a positive number', validate: value => number.validate(value) && value > 0};
+const has_methods = (value, method_names) => _.isObject(value) && _.every(method_names, name => _.isFunction(value[name]));
+
+module.exports = {
+  endpoint_domain: string,
+  oauth_base_url: nullable_string,
+  www_base_url: nullable_string,
+  proxy: nullable_string,
+  agent: {description: 'an object or null', validate: value => value === null || _.isObject(value)},
+  request_delay: non_negative_number,
+  max_concurrent_requests: positive_number,
+  request_priority: number,
+  timeout: positive_number,
+  continue_after_ratelimit_error: boolean,
+  continue_after_action_ratelimit_error: boolean,
+  ratelimit_pacing: boolean,
+  retry_error_codes: {
+    description: 'an Array of status codes',
+    validate: value => Array.isArray(value) && _.every(value, _.isInteger)
+  },
+  retry_network_error_codes: {
+    description: 'an Array of error codes',
+    validate: value => Array.isArray(value) && _.every(value, _.isString)
+  },
+  max_retry_attempts: {description: 'a positive integer', validate: value => _.isInteger(value) && value > 0},
+  retry_delay: non_negative_number,
+  max_retry_delay: non_negative_number,
+  token_refresh_margin: non_negative_number,
+  coalesce_requests: boolean,
+  batch_fetches: boolean,
+  dry_run: boolean,
+  audit_sink: {
+    description: 'an object with a `write` method, or null',
+    validate: value => value === null || has_methods(value, ['write'])
+  },
+  cache: {
+    description: 'an object with `get` and `set` methods, or null',
+    validate: value => value === null || has_methods(value, ['get', 'set'])
+  },
+  cache_ttl: {
+    description: 'a non-negative number or a function',
+    validate: value => non_negative_number.validate(value) || _.isFunction(value)
+  },
+  log_level: {
+    description: `one of ${constants.LOG_LEVELS.map(level => `'${level}'`).join(', ')}`,
+    validate: value => _.includes(constants.LOG_LEVELS, value)
+  },
+  logger: {
+    description: 'an object with `debug`, `info`, `warn` and `error` methods',
+    validate: value => has_methods(value, constants.LOG_LEVELS)
+  },
+  suppress_warnings: boolean,
+  transport: {description: 'a function', validate: _.isFunction}
+};
@@ -4,6 +4,8 @@ module.exports = {
   ISSUE_REPORT_LINK: require('../package.json').bugs.url,
   DOCS_LINK: 'https://not-an-aardvark.github.io/snoowrap/',
   API_RULES_LINK: 'https://github.com/reddit/reddit/wiki/API',
+  INSTALLED_CLIENT_GRANT_TYPE: 'https://oauth.reddit.com/grants/installed_client',
+  DEFAULT_DEVICE_ID: 'DO_NOT_TRACK_THIS_DEVICE',
   USER_KEYS: ['author', 'approved_by', 'banned_by'],
   SUBREDDIT_KEYS: ['subreddit'],
   KINDS: {
@@ -31,5 +33,24 @@ module.exports = {
   USERNAME_REGEX: /^[\w-]{1,20}$/,
   MODERATOR_PERMISSIONS: ['wiki', 'posts', 'access', 'mail', 'config', 'flair'],
   LIVETHREAD_PERMISSIONS: ['update', 'edit', 'manage'],
-  HTTP_VERBS: ['del', 'get', 'head', 'patch', 'post', 'put']
+  HTTP_VERBS: ['del', 'get', 'head', 'patch', 'post', 'put'],
+  LOG_LEVELS: ['debug', 'info', 'warn', 'error'],
+  // Request and response fields that contain credentials, which should never appear in errors or fixture files.
+  CREDENTIAL_FIELDS: ['access_token', 'refresh_token', 'password', 'client_secret', 'code', 'token'],
+  // Maps reddit's error codes (and HTTP status codes) to the class of RedditAPIError that gets thrown for them.
+  API_ERROR_CLASSES: {
+    RATELIMIT: 'RatelimitedError',
+    SUBREDDIT_NOEXIST: 'NotFoundError',
+    USER_DOESNT_EXIST: 'NotFoundError',
+    NO_USER: 'NotFoundError',
+    SUBREDDIT_NOTALLOWED: 'ForbiddenError',
+    NOT_AUTHOR: 'ForbiddenError',
+    ALREADY_SUB: 'AlreadySubmittedError',
+    BAD_CAPTCHA: 'BadCaptchaError'
+  },
+  HTTP_ERROR_CLASSES: {
+    403: 'ForbiddenError',
+    404: 'NotFoundError',
+    429: 'RatelimitedError'
+  }
 };
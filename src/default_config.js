@@ -1,9 +1,31 @@
 // Defines the default config values. For more information on these, see the documentation for snoowrap#config()
 module.exports = {
   endpoint_domain: 'reddit.com',
+  oauth_base_url: null,
+  www_base_url: null,
+  proxy: null,
+  agent: null,
   request_delay: 0,
+  max_concurrent_requests: Infinity,
+  request_priority: 0,
+  timeout: Infinity,
   continue_after_ratelimit_error: false,
-  retry_error_codes: [502, 503, 504, 522],
+  continue_after_action_ratelimit_error: false,
+  ratelimit_pacing: false,
+  retry_error_codes: [429, 502, 503, 504, 522],
+  retry_network_error_codes: ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'],
   max_retry_attempts: 3,
-  suppress_warnings: false
+  retry_delay: 1000,
+  max_retry_delay: 30000,
+  token_refresh_margin: 30000,
+  coalesce_requests: true,
+  batch_fetches: false,
+  dry_run: false,
+  audit_sink: null,
+  cache: null,
+  cache_ttl: 60000,
+  log_level: 'warn',
+  logger: require('./loggers').console_logger,
+  suppress_warnings: false,
+  transport: require('./transports').request_transport
 };
@@ -1,6 +1,31 @@
 /* eslint-disable max-len */
 'use strict';
 const constants = require('./constants');
+
+// Parses the wait time from reddit's RATELIMIT errors, e.g. 'you are doing that too much. try again in 7 minutes.'
+const parse_wait_time = message => {
+  const match = /try again in (\d+) (millisecond|second|minute|hour)s?/i.exec(message);
+  if (match) {
+    return match[1] * {millisecond: 1, second: 1000, minute: 60000, hour: 3600000}[match[2].toLowerCase()];
+  }
+};
+
+/* An error response from reddit, either as an HTTP error status or as an error in the `json.errors` array of a response.
+Subclasses of this are used for some common errors (see constants.API_ERROR_CLASSES). */
+const RedditAPIError = class extends Error {
+  constructor ({code, message, field, status_code, request, response} = {}, name = 'RedditAPIError') {
+    super();
+    this.name = name;
+    this.code = code;
+    this.field = field;
+    this.status_code = status_code;
+    this.statusCode = status_code; // for compatibility with errors from earlier versions, which came from request-promise
+    this.request = request;
+    this.response = response;
+    this.message = `${constants.MODULE_NAME}.errors.${this.name}: ${code}: ${message}${field ? ` (field: ${field})` : ''}`;
+  }
+};
+
 module.exports = {
   RateLimitError: class extends Error {
     constructor (expiry_time_from_now) {
@@ -23,12 +48,65 @@ module.exports = {
       this.message = `${constants.MODULE_NAME}.errors.${this.name}: ${reason}`;
     }
   },
+  InsufficientScopeError: class extends Error {
+    constructor (method_name, scope) {
+      super();
+      this.name = 'InsufficientScopeError';
+      this.method_name = method_name;
+      this.scope = scope;
+      this.message = `${constants.MODULE_NAME}.errors.${this.name}: The '${method_name}' method requires the '${scope}' scope, but the requester's access token does not have it. To use this method, obtain a token that includes the '${scope}' scope.`;
+    }
+  },
+  MissingFixtureError: class extends Error {
+    constructor (method, url, file_path) {
+      super();
+      this.name = 'MissingFixtureError';
+      this.file_path = file_path;
+      this.message = `${constants.MODULE_NAME}.errors.${this.name}: No fixture was recorded for the request '${method} ${url}' (expected to find it at ${file_path}). Record the fixtures again with ${constants.MODULE_NAME}.fixtures.recording_transport to include this request.`;
+    }
+  },
+  RequestCancelledError: class extends Error {
+    constructor () {
+      super();
+      this.name = 'RequestCancelledError';
+      this.message = `${constants.MODULE_NAME}.errors.${this.name}: The request was cancelled because its signal was aborted.`;
+    }
+  },
+  RedditAPIError,
+  RatelimitedError: class extends RedditAPIError {
+    constructor (details) {
+      super(details, 'RatelimitedError');
+      // The number of milliseconds until the action can be tried again, if reddit said so in the error message.
+      this.wait_time = parse_wait_time(this.message);
+    }
+  },
+  NotFoundError: class extends RedditAPIError {
+    constructor (details) {
+      super(details, 'NotFoundError');
+    }
+  },
+  ForbiddenError: class extends RedditAPIError {
+    constructor (details) {
+      super(details, 'ForbiddenError');
+    }
+  },
+  AlreadySubmittedError: class extends RedditAPIError {
+    constructor (details) {
+      super(details, 'AlreadySubmittedError');
+    }
+  },
+  BadCaptchaError: class extends RedditAPIError {
+    constructor (details) {
+      super(details, 'BadCaptchaError');
+    }
+  },
   RateLimitWarning: time_until_reset => `Warning: ${constants.MODULE_NAME} temporarily stopped sending requests because reddit's ratelimit was exceeded. The request you attempted to send was queued, and will be sent to reddit when the current ratelimit period expires in ${time_until_reset} milliseconds.`,
+  ActionRateLimitWarning: wait_time => `Warning: reddit refused to perform an action because the account has done it too often recently. ${constants.MODULE_NAME} will try again in ${wait_time} milliseconds.`,
   NoCredentialsError: class extends Error {
     constructor () {
       super();
       this.name = 'NoCredentialsError';
-      this.message = `${constants.MODULE_NAME}.errors.${this.name}: Missing credentials passed to ${constants.MODULE_NAME} constructor. You must pass an object containing either (a) user_agent, client_id, client_secret, and refresh_token properties, or (b) user_agent and access_token properties. For information, please read the docs at ${constants.DOCS_LINK}.`;
+      this.message = `${constants.MODULE_NAME}.errors.${this.name}: Missing credentials passed to ${constants.MODULE_NAME} constructor. You must pass an object containing either (a) user_agent, client_id, client_secret, and refresh_token properties, (b) user_agent, client_id, client_secret, username, and password properties, (c) user_agent, client_id, and app_only properties, or (d) user_agent and access_token properties. For information, please read the docs at ${constants.DOCS_LINK}.`;
     }
   },
   MissingUserAgentError: class extends Error {
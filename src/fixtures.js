@@ -0,0 +1,108 @@
+'use strict';
+const Promise = require('bluebird');
+const _ = require('lodash');
+const crypto = require('crypto');
+const path = require('path');
+const url = require('url');
+const fs = Promise.promisifyAll(require('fs'));
+const constants = require('./constants');
+const errors = require('./errors');
+const transports = require('./transports');
+
+// Credentials are never written to fixture files, and neither are cookies from response headers.
+const REDACTED_VALUE = '[REDACTED]';
+
+const redact = obj => _.mapValues(obj, (value, key) => _.includes(constants.CREDENTIAL_FIELDS, key) ? REDACTED_VALUE : value);
+
+const redact_body = body => {
+  try {
+    return JSON.stringify(redact(JSON.parse(body)));
+  } catch (err) {
+    return body;
+  }
+};
+
+const sorted_pairs = obj => _.sortBy(_.toPairs(obj), 0).map(pair => [pair[0], String(pair[1])]);
+
+/* Describes a request without anything that changes between runs (headers, credentials, and the contents of uploaded files),
+so that the same request gets the same fixture file every time. */
+const describe_request = request => ({
+  method: request.method,
+  url: request.url,
+  qs: sorted_pairs(request.qs),
+  form: sorted_pairs(redact(request.form)),
+  formData: _.keys(request.formData).sort(),
+  body: request.body === undefined ? undefined : redact_body(request.body)
+});
+
+/* Fixture files are named after the method, path and a hash of the request. Identical requests can be sent several times
+in one session (e.g. before and after editing something), so each file name also contains the number of times that the same
+request was sent before it. */
+const get_file_name = (description, sequence_number) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(description)).digest('hex').slice(0, 12);
+  const slug = _.snakeCase(`${description.method} ${url.parse(description.url).pathname}`).slice(0, 80);
+  return `${slug}_${hash}_${sequence_number}.json`;
+};
+
+const create_sequence_counter = () => {
+  const counts = {};
+  return key => {
+    counts[key] = (counts[key] || 0) + 1;
+    return counts[key] - 1;
+  };
+};
+
+/**
+* @summary Creates a transport that records every request and response to fixture files.
+* @desc Each request is sent with another transport (the default transport, unless a different one is given), and the
+request and response are written to a JSON file in the given directory. Credentials (e.g. access tokens and passwords) are
+redacted from the files. The recorded fixtures can be played back later with
+{@link snoowrap.fixtures.replay_transport}, which makes it possible to test code that uses snoowrap without any network
+access. To use this transport, pass it to {@link snoowrap#config}.
+* @param {object} $0
+* @param {string} $0.directory The directory where fixture files should be written. It will be created if it does not exist.
+* @param {function} [$0.transport=snoowrap.transports.request_transport] The transport that should send the requests
+* @returns {function} A transport function
+*/
+exports.recording_transport = ({directory, transport = transports.request_transport}) => {
+  const next_sequence_number = create_sequence_counter();
+  const directory_created = fs.mkdirAsync(directory).catch({code: 'EEXIST'}, _.noop);
+  return request => {
+    const description = describe_request(request);
+    const file_name = get_file_name(description, next_sequence_number(JSON.stringify(description)));
+    return Promise.resolve(transport(request)).then(response => {
+      const fixture = {
+        request: description,
+        response: {
+          status_code: response.status_code,
+          headers: _.omit(response.headers, 'set-cookie'),
+          body: redact_body(response.body)
+        }
+      };
+      return directory_created
+        .then(() => fs.writeFileAsync(path.join(directory, file_name), JSON.stringify(fixture, null, 2)))
+        .return(response);
+    });
+  };
+};
+
+/**
+* @summary Creates a transport that responds to requests with fixtures from {@link snoowrap.fixtures.recording_transport},
+without sending anything over the network.
+* @desc Requests are matched to fixtures by their method, URL, query string and body, and by the order in which identical
+requests were sent. As a result, replaying the same sequence of calls always gives the same responses. If no fixture was
+recorded for a request, the request fails with a {@link MissingFixtureError}.
+* @param {object} $0
+* @param {string} $0.directory The directory that contains the fixture files
+* @returns {function} A transport function
+*/
+exports.replay_transport = ({directory}) => {
+  const next_sequence_number = create_sequence_counter();
+  return request => {
+    const description = describe_request(request);
+    const file_path = path.join(directory, get_file_name(description, next_sequence_number(JSON.stringify(description))));
+    return fs.readFileAsync(file_path, 'utf8').then(JSON.parse).get('response').catch({code: 'ENOENT'}, () => {
+      throw new errors.MissingFixtureError(request.method, request.url, file_path);
+    });
+  };
+};
@@ -1,6 +1,8 @@
 'use strict';
+const Promise = require('bluebird');
 const _ = require('lodash');
 const constants = require('./constants');
+const errors = require('./errors');
 
 exports._populate = (response_tree, _ac) => {
   if (typeof response_tree === 'object' && response_tree !== null) {
@@ -10,8 +12,10 @@ exports._populate = (response_tree, _ac) => {
       if (constants.KINDS[response_tree.kind]) {
         return _ac._new_object(constants.KINDS[response_tree.kind], remainder_of_tree, true);
       }
-      _ac.warn(
-        `Warning: Unknown type '${response_tree.kind}'. This may be a bug, please report it: ${constants.ISSUE_REPORT_LINK}.`
+      _ac._log(
+        'warn',
+        `Warning: Unknown type '${response_tree.kind}'. This may be a bug, please report it: ${constants.ISSUE_REPORT_LINK}.`,
+        {kind: response_tree.kind}
       );
       return _ac._new_object('RedditContent', remainder_of_tree, true);
     }
@@ -36,12 +40,83 @@ exports._populate = (response_tree, _ac) => {
   return response_tree;
 };
 
+/* Converts a value that may contain snoowrap objects into a form that can be converted to JSON. Snoowrap objects are replaced
+with `{snoowrap_class, has_fetched, properties}` objects (see RedditContent#serialize and Listing#serialize). */
+exports._serialize = value => {
+  if (value && typeof value.serialize === 'function') {
+    return value.serialize();
+  }
+  if (Array.isArray(value)) {
+    return value.map(exports._serialize);
+  }
+  return _.isPlainObject(value) ? _.mapValues(value, exports._serialize) : value;
+};
+
+// The inverse of _serialize. This is used by snoowrap#from_json.
+exports._deserialize = (value, _ac) => {
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => exports._deserialize(item, _ac));
+  }
+  if (!value.snoowrap_class) {
+    return _.mapValues(value, item => exports._deserialize(item, _ac));
+  }
+  if (!_.has(require('./objects'), value.snoowrap_class)) {
+    throw new errors.InvalidMethodCallError(`Unknown snoowrap class '${value.snoowrap_class}'.`);
+  }
+  const result = _ac._new_object(value.snoowrap_class, exports._deserialize(value.properties, _ac), value.has_fetched);
+  return typeof result._restore === 'function' ? result._restore() : result;
+};
+
+// Creates a RedditAPIError, using a more specific subclass if there is one for the error code or status code.
+exports._create_api_error = details => {
+  const class_name = constants.API_ERROR_CLASSES[details.code] || constants.HTTP_ERROR_CLASSES[details.status_code];
+  return new errors[class_name || 'RedditAPIError'](details);
+};
+
+/* Converts an entry from the `json.errors` array of a response (e.g. `['SUBREDDIT_NOEXIST', 'that subreddit doesn't exist',
+'sr']`) into a RedditAPIError. */
+exports._create_json_api_error = (error_array, details) => exports._create_api_error(
+  _.assign({code: error_array[0], message: error_array[1], field: error_array[2]}, details)
+);
+
+/* Submitting, commenting and sending messages are subject to an additional ratelimit per account, which is reported with
+a RATELIMIT error such as 'you are doing that too much. try again in 7 minutes.' If the requester's config allows it, this
+waits for that long and then calls `send` (a function that sends the request) again. Otherwise, the error is rethrown. By the
+time the request is retried, the method that sent it has returned, so the requester's `_current_action` (see snoowrap.js) is
+restored while `send` runs, to label the retried request with the same method. */
+exports._retry_after_action_ratelimit = (r, send, action = r._current_action) => {
+  const previous_action = r._current_action;
+  r._current_action = action;
+  let response;
+  try {
+    response = Promise.resolve(send());
+  } finally {
+    r._current_action = previous_action;
+  }
+  return response.catch(errors.RatelimitedError, err => {
+    if (!r.config().continue_after_action_ratelimit_error || err.wait_time === undefined) {
+      throw err;
+    }
+    const wait_info = {type: 'action', wait_time: err.wait_time, error: err};
+    r.emit('ratelimit_wait', wait_info);
+    r._log('warn', errors.ActionRateLimitWarning(err.wait_time), wait_info);
+    return Promise.delay(err.wait_time).then(() => exports._retry_after_action_ratelimit(r, send, action));
+  });
+};
+
+/* Creates a placeholder for content that would have been created by a request that was skipped in a dry run. It counts as
+fetched, so that reading its properties doesn't send requests for content that doesn't exist. */
+exports._dry_run_placeholder = (r, object_type) => r._new_object(object_type, {dry_run: true}, true);
+
 exports._handle_json_errors = function (response) {
   if (_.isEmpty(response)) {
     return this;
   }
   if (response.json.errors.length) {
-    throw response.json.errors[0];
+    throw exports._create_json_api_error(response.json.errors[0]);
   }
   return this;
 };
@@ -65,4 +140,16 @@ exports._format_permissions = (all_permission_names, permissions_array) => {
 exports._format_mod_permissions = _.partial(exports._format_permissions, constants.MODERATOR_PERMISSIONS);
 exports._format_livethread_permissions = _.partial(exports._format_permissions, constants.LIVETHREAD_PERMISSIONS);
 
+/* Calls `callback` once the given AbortSignal (or any object with an `aborted` property and `addEventListener` and
+`removeEventListener` methods) is aborted. If it has already been aborted, `callback` is called immediately. Returns a
+function that removes the listener again, so that signals which are reused for many requests don't accumulate listeners. */
+exports._on_abort = (signal, callback) => {
+  if (signal.aborted) {
+    callback();
+    return _.noop;
+  }
+  signal.addEventListener('abort', callback);
+  return () => signal.removeEventListener('abort', callback);
+};
+
 exports.rename_key = (obj, oldkey, newkey) => obj && _(_.clone(obj)).assign({[newkey]: obj[oldkey]}).omit(oldkey).value();
@@ -0,0 +1,53 @@
+'use strict';
+const Promise = require('bluebird');
+const _ = require('lodash');
+const errors = require('./errors');
+
+/* Combines fetches of individual Comments, Submissions and Subreddits into requests to /api/info, which can return up to 100
+items at a time. This is used when the requester's `batch_fetches` option is enabled. Items are identified either by their
+fullname (the `id` parameter) or, for Subreddits that only have a display name, by their name (the `sr_name` parameter). All
+fetches that are started in the same tick are collected, and then sent together on the next tick. */
+// The property of each returned item that contains the value of the corresponding /api/info parameter.
+const KEY_PROPERTIES = {id: 'name', sr_name: 'display_name'};
+
+// Subreddit names are case-insensitive, so the names that reddit returns might not match the requested names exactly.
+const get_key = (param, value) => param === 'sr_name' ? value.toLowerCase() : value;
+
+const InfoBatcher = class {
+  constructor (r) {
+    this._r = r;
+    this._pending = [];
+  }
+  /* Returns a Promise for the item that has the given value for the given /api/info parameter. The Promise is rejected with a
+  NotFoundError if reddit doesn't return the item. */
+  add (param, value) {
+    return new Promise((resolve, reject) => {
+      if (!this._pending.length) {
+        process.nextTick(() => this._flush());
+      }
+      this._pending.push({param, value, resolve, reject});
+    });
+  }
+  _flush () {
+    const pending = this._pending;
+    this._pending = [];
+    _.forEach(_.groupBy(pending, 'param'), (items, param) => {
+      const values = _.uniq(_.map(items, 'value'));
+      Promise.map(_.chunk(values, 100), chunk => this._r._get({uri: 'api/info', qs: {[param]: chunk.join(',')}}))
+        .then(listings => {
+          const results = _.keyBy(_.flatMap(listings, _.toArray), item => get_key(param, item[KEY_PROPERTIES[param]]));
+          _.forEach(items, item => {
+            const result = results[get_key(param, item.value)];
+            if (result) {
+              item.resolve(result);
+            } else {
+              item.reject(new errors.NotFoundError({code: 'NOT_FOUND', message: `'${item.value}' was not found.`}));
+            }
+          });
+        })
+        .catch(err => _.forEach(items, item => item.reject(err)));
+    });
+  }
+};
+
+module.exports = InfoBatcher;
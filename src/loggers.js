@@ -0,0 +1,50 @@
+'use strict';
+const _ = require('lodash');
+
+/**
+* @summary The default logger, which writes the message of each log record to the console.
+* @desc A logger is any object with `debug`, `info`, `warn` and `error` methods, such as the loggers from
+[bunyan](https://github.com/trentm/node-bunyan) or [winston](https://github.com/winstonjs/winston). A different logger can
+be used by passing it to {@link snoowrap#config}.
+
+Each method is called with a single log record. A log record is an object with a `level` (one of `'debug'`, `'info'`, `'warn'`
+or `'error'`), a human-readable `message`, and any relevant details. For example, debug-level records about requests contain
+the `method`, `uri` and `url` of the request, the `status_code` of the response, and the current ratelimit state
+(`ratelimit_remaining`, `ratelimit_used` and `ratelimit_reset_point`). Records that are below the configured `log_level` are
+discarded before they reach the logger.
+
+This logger only writes the `message` of each record, which means that its output looks the same as snoowrap's warnings did
+before loggers were configurable. To log the full records (e.g. as JSON), use a different logger.
+*/
+exports.console_logger = {
+  /**
+  * @summary Writes a debug-level log record to stdout.
+  * @param {object} record The log record
+  * @returns {undefined}
+  */
+  debug: record => console.log(record.message),
+  /**
+  * @summary Writes an info-level log record to stdout.
+  * @param {object} record The log record
+  * @returns {undefined}
+  */
+  info: record => console.log(record.message),
+  /**
+  * @summary Writes a warn-level log record to stderr.
+  * @param {object} record The log record
+  * @returns {undefined}
+  */
+  warn: record => console.warn(record.message),
+  /**
+  * @summary Writes an error-level log record to stderr.
+  * @param {object} record The log record
+  * @returns {undefined}
+  */
+  error: record => console.error(record.message)
+};
+
+/**
+* @summary A logger that discards all log records.
+* @desc This can be used to silence snoowrap entirely.
+*/
+exports.silent_logger = {debug: _.noop, info: _.noop, warn: _.noop, error: _.noop};
@@ -0,0 +1,234 @@
+'use strict';
+/* The OAuth scope that is required by each public method, grouped by the class where the method is defined. A method that
+is not listed here (e.g. `snoowrap#get_user`, which only creates a lazy object) can be used with any scope. Methods that are
+inherited from a parent class use the scope that is listed for the parent, unless a different one is listed for the child
+class (e.g. replying to a PrivateMessage requires the `privatemessages` scope rather than the `submit` scope). */
+module.exports = {
+  snoowrap: {
+    get_me: 'identity',
+    get_karma: 'mysubreddits',
+    get_preferences: 'identity',
+    update_preferences: 'account',
+    get_my_trophies: 'identity',
+    get_friends: 'read',
+    get_blocked_users: 'read',
+    get_content_by_ids: 'read',
+    get_saved_categories: 'save',
+    mark_as_visited: 'save',
+    submit_selfpost: 'submit',
+    submit_link: 'submit',
+    get_hot: 'read',
+    get_new: 'read',
+    get_new_comments: 'read',
+    get_random_submission: 'read',
+    get_top: 'read',
+    get_controversial: 'read',
+    get_unread_messages: 'privatemessages',
+    get_inbox: 'privatemessages',
+    get_modmail: 'privatemessages',
+    get_sent_messages: 'privatemessages',
+    read_all_messages: 'privatemessages',
+    compose_message: 'privatemessages',
+    search: 'read',
+    search_subreddit_names: 'read',
+    create_subreddit: 'modconfig',
+    search_subreddit_topics: 'read',
+    get_subscriptions: 'mysubreddits',
+    get_contributor_subreddits: 'mysubreddits',
+    get_moderated_subreddits: 'mysubreddits',
+    search_subreddits: 'read',
+    get_popular_subreddits: 'read',
+    get_new_subreddits: 'read',
+    get_gold_subreddits: 'read',
+    get_default_subreddits: 'read',
+    create_livethread: 'submit',
+    get_my_multireddits: 'read',
+    create_multireddit: 'subscribe'
+  },
+  RedditContent: {
+    fetch: 'read',
+    refresh: 'read'
+  },
+  ReplyableContent: {
+    remove: 'modposts',
+    approve: 'modposts',
+    report: 'report',
+    ignore_reports: 'modposts',
+    unignore_reports: 'modposts',
+    reply: 'submit'
+  },
+  VoteableContent: {
+    upvote: 'vote',
+    downvote: 'vote',
+    unvote: 'vote',
+    save: 'save',
+    unsave: 'save',
+    distinguish: 'modposts',
+    undistinguish: 'modposts',
+    edit: 'edit',
+    gild: 'creddits',
+    delete: 'edit',
+    enable_inbox_replies: 'edit',
+    disable_inbox_replies: 'edit'
+  },
+  Submission: {
+    hide: 'report',
+    unhide: 'report',
+    lock: 'modposts',
+    unlock: 'modposts',
+    mark_nsfw: 'modposts',
+    unmark_nsfw: 'modposts',
+    enable_contest_mode: 'modposts',
+    disable_contest_mode: 'modposts',
+    sticky: 'modposts',
+    unsticky: 'modposts',
+    set_suggested_sort: 'modposts',
+    mark_as_read: 'save',
+    get_duplicates: 'read',
+    get_related: 'read',
+    get_link_flair_templates: 'flair',
+    assign_flair: 'modflair',
+    select_flair: 'flair'
+  },
+  PrivateMessage: {
+    fetch: 'privatemessages',
+    refresh: 'privatemessages',
+    reply: 'privatemessages',
+    block_author: 'privatemessages',
+    mark_as_read: 'privatemessages',
+    mark_as_unread: 'privatemessages',
+    mute_author: 'modcontributors',
+    unmute_author: 'modcontributors'
+  },
+  RedditUser: {
+    give_gold: 'creddits',
+    assign_flair: 'modflair',
+    friend: 'subscribe',
+    unfriend: 'subscribe',
+    get_friend_information: 'mysubreddits',
+    get_trophies: 'read',
+    get_overview: 'history',
+    get_submissions: 'history',
+    get_comments: 'history',
+    get_upvoted_content: 'history',
+    get_downvoted_content: 'history',
+    get_hidden_content: 'history',
+    get_saved_content: 'history',
+    get_gilded_content: 'history',
+    get_multireddits: 'read'
+  },
+  Subreddit: {
+    delete_all_user_flair_templates: 'modflair',
+    delete_all_link_flair_templates: 'modflair',
+    delete_flair_template: 'modflair',
+    create_user_flair_template: 'modflair',
+    create_link_flair_template: 'modflair',
+    get_link_flair_templates: 'flair',
+    get_user_flair_templates: 'flair',
+    delete_user_flair: 'modflair',
+    get_user_flair: 'flair',
+    set_multiple_user_flairs: 'modflair',
+    get_user_flair_list: 'modflair',
+    configure_flair: 'modflair',
+    get_my_flair: 'flair',
+    select_my_flair: 'flair',
+    show_my_flair: 'flair',
+    hide_my_flair: 'flair',
+    submit_selfpost: 'submit',
+    submit_link: 'submit',
+    get_hot: 'read',
+    get_new: 'read',
+    get_new_comments: 'read',
+    get_random_submission: 'read',
+    get_top: 'read',
+    get_controversial: 'read',
+    get_moderation_log: 'modlog',
+    get_reports: 'read',
+    get_spam: 'read',
+    get_modqueue: 'read',
+    get_unmoderated: 'read',
+    get_edited: 'read',
+    accept_moderator_invite: 'modself',
+    leave_moderator: 'modself',
+    leave_contributor: 'modself',
+    get_stylesheet: 'modconfig',
+    search: 'read',
+    get_banned_users: 'read',
+    get_muted_users: 'read',
+    get_wikibanned_users: 'read',
+    get_contributors: 'read',
+    get_wiki_contributors: 'read',
+    get_moderators: 'read',
+    delete_banner: 'modconfig',
+    delete_header: 'modconfig',
+    delete_icon: 'modconfig',
+    delete_image: 'modconfig',
+    get_settings: 'modconfig',
+    edit_settings: 'modconfig',
+    get_recommended_subreddits: 'read',
+    get_submit_text: 'submit',
+    update_stylesheet: 'modconfig',
+    subscribe: 'subscribe',
+    unsubscribe: 'subscribe',
+    upload_stylesheet_image: 'modconfig',
+    upload_header_image: 'modconfig',
+    upload_icon: 'modconfig',
+    upload_banner_image: 'modconfig',
+    get_rules: 'read',
+    get_sticky: 'read',
+    invite_moderator: 'modothers',
+    revoke_moderator_invite: 'modothers',
+    remove_moderator: 'modothers',
+    add_contributor: 'modcontributors',
+    remove_contributor: 'modcontributors',
+    ban_user: 'modcontributors',
+    unban_user: 'modcontributors',
+    mute_user: 'modcontributors',
+    unmute_user: 'modcontributors',
+    wikiban_user: 'modwiki',
+    unwikiban_user: 'modwiki',
+    add_wiki_contributor: 'modwiki',
+    remove_wiki_contributor: 'modwiki',
+    set_moderator_permissions: 'modothers',
+    get_wiki_pages: 'wikiread',
+    get_wiki_revisions: 'wikiread'
+  },
+  WikiPage: {
+    fetch: 'wikiread',
+    refresh: 'wikiread',
+    get_settings: 'modwiki',
+    edit_settings: 'modwiki',
+    add_editor: 'modwiki',
+    remove_editor: 'modwiki',
+    edit: 'wikiedit',
+    get_revisions: 'wikiread',
+    hide_revision: 'modwiki',
+    revert: 'modwiki',
+    get_discussions: 'wikiread'
+  },
+  LiveThread: {
+    add_update: 'submit',
+    accept_contributor_invite: 'livemanage',
+    close_thread: 'livemanage',
+    delete_update: 'edit',
+    edit_settings: 'livemanage',
+    invite_contributor: 'livemanage',
+    leave_contributor: 'livemanage',
+    report: 'report',
+    remove_contributor: 'livemanage',
+    revoke_contributor_invite: 'livemanage',
+    set_contributor_permissions: 'livemanage',
+    strike_update: 'edit',
+    get_recent_updates: 'read',
+    get_contributors: 'read',
+    get_discussions: 'read'
+  },
+  MultiReddit: {
+    copy: 'subscribe',
+    rename: 'subscribe',
+    delete: 'subscribe',
+    edit: 'subscribe',
+    add_subreddit: 'subscribe',
+    remove_subreddit: 'subscribe'
+  }
+};
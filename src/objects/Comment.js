@@ -1,19 +1,34 @@
 'use strict';
+const Listing = require('./Listing');
+
+// Fetching the replies of a comment returns the comment's whole thread, with the comment at the top.
+const get_replies = item => item.comments[0].replies;
+
 /**
 * A class representing a reddit comment
 * @extends VoteableContent
 */
 const Comment = class extends require('./VoteableContent') {
   _transform_api_response (response_obj) {
-    const replies_uri = `comments/${response_obj[0].link_id.slice(3)}`;
+    // Fetching a single comment returns a Listing, but batched fetches (see snoowrap#config) return the comment itself.
+    const comment = response_obj.constructor.name === 'Listing' ? response_obj[0] : response_obj;
+    const replies_uri = `comments/${comment.link_id.slice(3)}`;
     const replies_query = {comment: this.name.slice(3)};
-    const _transform = item => item.comments[0].replies;
-    response_obj[0].replies = this._ac._new_object('Listing', {uri: replies_uri, query: replies_query, _transform});
-    return response_obj[0];
+    comment.replies = this._ac._new_object('Listing', {uri: replies_uri, query: replies_query, _transform: get_replies});
+    return comment;
+  }
+  _restore () {
+    if (this._has_fetched && this.replies instanceof Listing && this.replies.uri) {
+      this.replies._transform = get_replies;
+    }
+    return this;
   }
   get _uri () {
     return `api/info?id=${this.name}`;
   }
+  get _info_query () {
+    return ['id', this.name];
+  }
 };
 
 module.exports = Comment;
@@ -26,6 +26,7 @@ const Listing = class extends Array {
     this.limit = limit;
     this.after = after;
     this.before = before;
+    this._is_comment_list = _is_comment_list;
     if (_.last(children) instanceof require('./more')) {
       this._more = this.pop();
       this._is_comment_list = true;
@@ -44,9 +45,12 @@ const Listing = class extends Array {
   * @summary Fetches some more items and adds them to this Listing.
   * @param {number} [amount] The number of items to fetch. If this is not defined, one more "batch" of items is fetched;
   the size of a batch depends on the type of Listing this is, as well as the requester's reddit preferences.
+  * @param {object} [options]
+  * @param {AbortSignal} [options.signal] A signal that can be used to cancel fetching. If it is aborted, any requests that
+  have not been sent yet are removed from the queue, and the returned Promise is rejected with a `RequestCancelledError`.
   * @returns {Promise} An updated version of this listing with `amount` items added on.
   */
-  fetch_more (amount = this.limit) {
+  fetch_more (amount = this.limit, {signal} = {}) {
     if (typeof amount !== 'number') {
       throw new errors.InvalidMethodCallError('Failed to fetch Listing. (amount must be a Number.)');
     }
@@ -54,25 +58,26 @@ const Listing = class extends Array {
       return [];
     }
     if (this._is_comment_list) {
-      return this._fetch_more_comments(amount).then(() => this);
+      return this._fetch_more_comments(amount, {signal}).then(() => this);
     }
     if (!this.uri) {
       return [];
     }
-    return this._fetch_more_regular(amount).then(() => this);
+    return this._fetch_more_regular(amount, {signal}).then(() => this);
   }
-  async _fetch_more_regular (amount) {
+  async _fetch_more_regular (amount, {signal}) {
     const limit_for_request = Math.min(amount, this.limit) || this.limit;
     const request_params = _.merge({after: this.after, before: this.before, limit: limit_for_request}, this.constant_params);
     const response = await this._ac[`_${this.method}`]({
       uri: this.uri,
       qs: request_params,
-      limit: limit_for_request
+      limit: limit_for_request,
+      signal
     }).then(this._transform);
     this.push(..._.toArray(response));
     this.before = response.before;
     this.after = response.after;
-    return response.slice(0, amount).concat(await this.fetch_more(amount - response.length));
+    return response.slice(0, amount).concat(await this.fetch_more(amount - response.length, {signal}));
   }
   /* Pagination for comments works differently than it does for most other things; rather than sending a link to the next page
   within a Listing, reddit sends the last comment in the list as as a `more` object, with links to all the remaining comments
@@ -84,11 +89,13 @@ const Listing = class extends Array {
   }
   /**
   * @summary Fetches all of the items in this Listing, only stopping when there are none left.
+  * @param {object} [options]
+  * @param {AbortSignal} [options.signal] A signal that can be used to cancel fetching (see {@link Listing#fetch_more})
   * @returns {Promise} The updated version of this Listing. Keep in mind that this method has the potential to exhaust your
   ratelimit quickly if the Listing doesn't have a clear end (e.g. with posts on the front page), so use it with discretion.
   */
-  fetch_all () {
-    return this.fetch_more(Infinity);
+  fetch_all ({signal} = {}) {
+    return this.fetch_more(Infinity, {signal});
   }
   /**
   * @summary Fetches items until a given length is reached.
@@ -96,10 +103,35 @@ const Listing = class extends Array {
   * @param {number} $0.length The maximum length that the Listing should have after completion. The length might end up
   being less than this if the true number of available items in the Listing is less than `$0.length`. For example, this
   can't fetch 200 comments on a Submission that only has 100 comments in total.
+  * @param {AbortSignal} [$0.signal] A signal that can be used to cancel fetching (see {@link Listing#fetch_more})
   * @returns {Promise} The updated Listing
   */
-  fetch_until ({length}) {
-    return this.fetch_more(length - this.length);
+  fetch_until ({length, signal}) {
+    return this.fetch_more(length - this.length, {signal});
+  }
+  /**
+  * @summary Returns a version of this Listing that can be stored and later turned back into a Listing.
+  * @desc The result includes the pagination state of this Listing, so the Listing that is rebuilt with
+  {@link snoowrap#from_json} can continue fetching items where this one left off. See {@link RedditContent#serialize} for
+  more details.
+  * @returns {object} A serializable version of this Listing
+  */
+  serialize () {
+    const helpers = require('../helpers');
+    return {
+      snoowrap_class: 'Listing',
+      properties: {
+        children: _.toArray(this).concat(this._more ? [this._more] : []).map(helpers._serialize),
+        query: this.constant_params,
+        show_all: this.constant_params.show === 'all',
+        limit: this.limit,
+        uri: this.uri,
+        method: this.method,
+        after: this.after,
+        before: this.before,
+        _is_comment_list: this._is_comment_list
+      }
+    };
   }
   inspect () {
     return `Listing ${util.inspect(_.toArray(this))}`;
@@ -146,8 +146,10 @@ const LiveThread = class extends require('./RedditContent') {
   * @returns {Promise} A Promise that fulfills with this LiveThread when the request is complete
   */
   remove_contributor ({name}) {
+    const action = this._ac._current_action;
     return this._ac.get_user(name).id.then(user_id => this._post({
       uri: `api/live/${this.id}/rm_contributor`,
+      action,
       form: {api_type, id: `t2_${user_id}`}
     })).bind(this).then(helpers._handle_json_errors);
   }
@@ -158,8 +160,10 @@ const LiveThread = class extends require('./RedditContent') {
   * @returns {Promise} A Promise that fulfills with this LiveThread when the request is complete
   */
   revoke_contributor_invite ({name}) {
+    const action = this._ac._current_action;
     return this._ac.get_user(name).id.then(user_id => this._post({
       uri: `api/live/${this.id}/rm_contributor_invite`,
+      action,
       form: {api_type, id: `t2_${user_id}`}
     })).bind(this).then(helpers._handle_json_errors);
   }
@@ -26,9 +26,11 @@ const MultiReddit = class extends require('./RedditContent') {
   * @returns {Promise} A Promise for the newly-copied multireddit
   */
   copy ({new_name}) {
+    const action = this._ac._current_action;
     return this._ac._get_my_name().then(name =>
       this._post({
         uri: 'api/multi/copy',
+        action,
         form: {from: this.path, to: `/user/${name}/m/${new_name}`, display_name: new_name}
       })
     );
@@ -41,8 +43,10 @@ const MultiReddit = class extends require('./RedditContent') {
   * @returns {Promise} A Promise that fulfills with this multireddit
   */
   rename ({new_name}) {
+    const action = this._ac._current_action;
     return this._ac._get_my_name().then(my_name => this._post({
       uri: 'api/multi/rename',
+      action,
       form: {from: this.path, to: `/user/${my_name}/m/${new_name}`, display_name: new_name}
     })).then(res => {
       Object.keys(res).forEach(key => {
@@ -36,17 +36,30 @@ const RedditContent = class {
   */
   fetch () {
     if (!this._fetch) {
-      this._fetch = promise_wrap(this._ac._get({uri: this._uri}).bind(this).then(this._transform_api_response));
+      this._fetch = promise_wrap(this._request_content({}));
     }
     return this._fetch;
   }
   /**
   * @summary Refreshes this content.
+  * @desc This bypasses the requester's response cache, if there is one.
   * @returns {Promise} A newly-fetched version of this content
   */
   refresh () {
-    this._fetch = undefined;
-    return this.fetch();
+    this._fetch = promise_wrap(this._request_content({cache: false}));
+    return this._fetch;
+  }
+  /* Content that can also be fetched from /api/info has an `_info_query` (e.g. `['id', 't1_abc123']`). If the requester's
+  `batch_fetches` option is enabled, fetches of such content are combined into requests for up to 100 items at a time.
+  (This is defined for all content, since reading a missing property through the Proxy would fetch the content again.) */
+  get _info_query () {
+    return undefined;
+  }
+  _request_content (options) {
+    const response = this._info_query && this._ac.config().batch_fetches && options.cache !== false
+      ? this._ac._info_batcher.add(...this._info_query)
+      : this._ac._get(_.assign({uri: this._uri}, options));
+    return response.bind(this).then(this._transform_api_response);
   }
   /**
   * @summary Returns a stringifyable version of this object.
@@ -57,6 +70,34 @@ const RedditContent = class {
   toJSON () {
     return _.omitBy(this, (value, key) => key.startsWith('_'));
   }
+  /**
+  * @summary Returns a version of this object that can be stored and later turned back into a snoowrap object.
+  * @desc Unlike {@link RedditContent#toJSON}, the returned object keeps track of the class of this object and of every
+  object and Listing that it contains (e.g. the comments of a Submission), as well as the pagination state of those Listings.
+  The result can be converted to JSON, e.g. to store it in a cache or to send it to another process, and it can be rebuilt
+  with {@link snoowrap#from_json}.
+  * @returns {object} A serializable version of this object
+  * @example
+  *
+  * r.get_submission('2np694').fetch().then(submission => {
+  *   const data = JSON.stringify(submission.serialize());
+  *   // later, possibly in another process
+  *   const rebuilt_submission = r.from_json(data);
+  *   rebuilt_submission.comments.fetch_more(10);
+  * })
+  */
+  serialize () {
+    return {
+      snoowrap_class: _.findKey(require('./index'), object_class => object_class === this.constructor),
+      has_fetched: this._has_fetched,
+      properties: _.mapValues(this.toJSON(), require('../helpers')._serialize)
+    };
+  }
+  /* Restores anything that couldn't be serialized (such as functions) after this object has been rebuilt by
+  snoowrap#from_json. */
+  _restore () {
+    return this;
+  }
   inspect () {
     return `${this.constructor.name} ${require('util').inspect(this.toJSON())}`;
   }
@@ -57,10 +57,13 @@ const ReplyableContent = class extends require('./RedditContent') {
   * @returns {Promise} A Promise that fulfills with the newly-created reply
   */
   reply (text) {
-    return this._post({
+    return helpers._retry_after_action_ratelimit(this._ac, () => this._post({
       uri: 'api/comment',
       form: {api_type, text, thing_id: this.name}
-    }).tap(helpers._handle_json_errors).then(res => res.json.data.things[0]);
+    })).tap(helpers._handle_json_errors).then(res => res.json.data.dry_run
+      ? helpers._dry_run_placeholder(this._ac, this.constructor.name === 'PrivateMessage' ? 'PrivateMessage' : 'Comment')
+      : res.json.data.things[0]
+    );
   }
 };
 
@@ -10,6 +10,9 @@ const Submission = class extends require('./VoteableContent') {
   get _uri () {
     return `comments/${this.name.slice(3)}`;
   }
+  get _info_query () {
+    return ['id', this.name];
+  }
   // TODO: Get rid of some boilerplate code here
   /**
   * @summary Hides this Submission, preventing it from appearing on most Listings.
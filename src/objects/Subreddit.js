@@ -13,6 +13,9 @@ const Subreddit = class extends require('./RedditContent') {
   get _uri () {
     return `r/${this.display_name}/about`;
   }
+  get _info_query () {
+    return ['sr_name', this.display_name];
+  }
   _delete_flair_templates ({flair_type}) {
     return this._post({uri: `r/${this.display_name}/api/clearflairtemplates`, form: {api_type, flair_type}});
   }
@@ -181,9 +184,10 @@ const Subreddit = class extends require('./RedditContent') {
   select_my_flair (options) {
     /* NOTE: This requires `identity` scope in addition to `flair` scope, since the reddit api needs to be passed a username.
     I'm not sure if there's a way to do this without requiring additional scope. */
-    return (this._ac.own_user_info ? Promise.resolve() : this._ac.get_me()).then(() =>
-      this._ac._select_flair(_.assign(options, {subreddit_name: this.display_name, name: this._ac.own_user_info.name}))
-    );
+    const action = this._ac._current_action;
+    return (this._ac.own_user_info ? Promise.resolve() : this._ac.get_me()).then(() => this._ac._select_flair(
+      _.assign(options, {subreddit_name: this.display_name, name: this._ac.own_user_info.name, action})
+    ));
   }
   _set_my_flair_visibility (flair_enabled) {
     return this._post({uri: `r/${this.display_name}/api/setflairenabled`, form: {api_type, flair_enabled}});
@@ -360,8 +364,9 @@ const Subreddit = class extends require('./RedditContent') {
   * @returns {Promise} A Promise for this subreddit.
   */
   leave_moderator () {
+    const action = this._ac._current_action;
     return this.name.then(name =>
-      this._post({uri: 'api/leavemoderator', form: {id: name}}).bind(this).then(helpers._handle_json_errors)
+      this._post({uri: 'api/leavemoderator', action, form: {id: name}}).bind(this).then(helpers._handle_json_errors)
     );
   }
   /**
@@ -369,8 +374,9 @@ const Subreddit = class extends require('./RedditContent') {
   * @returns {Promise} A Promise that resolves with this subreddit when the request is complete.
   */
   leave_contributor () {
+    const action = this._ac._current_action;
     return this.name.then(name =>
-      this._post({uri: 'api/leavecontributor', form: {id: name}}).return(this)
+      this._post({uri: 'api/leavecontributor', action, form: {id: name}}).return(this)
     );
   }
   /**
@@ -551,8 +557,9 @@ const Subreddit = class extends require('./RedditContent') {
   * @returns {Promise} A Promise that fulfills with this Subreddit when the request is complete.
   */
   edit_settings (options) {
+    const action = this._ac._current_action;
     return Promise.join(this.get_settings(), this.name, (current_values, name) =>
-      this._ac._create_or_edit_subreddit(_.assign(current_values, options, {sr: name}))
+      this._ac._create_or_edit_subreddit(_.assign(current_values, options, {sr: name, action}))
     ).return(this);
   }
   /**
@@ -588,8 +595,10 @@ const Subreddit = class extends require('./RedditContent') {
   }
 
   _set_subscribed (status) {
+    const action = this._ac._current_action;
     return this.name.then(name => this._post({
       uri: 'api/subscribe',
+      action,
       form: {action: status ? 'sub' : 'unsub', sr: name}
     }).return(this));
   }
@@ -616,8 +625,9 @@ const Subreddit = class extends require('./RedditContent') {
       uri: `r/${this.display_name}/api/upload_sr_img`,
       formData: {name, upload_type, img_type: image_type, file: parsed_file}
     }).then(result => {
+      // This endpoint reports errors as an array of error codes, with the corresponding messages in `errors_values`.
       if (result.errors.length) {
-        throw result.errors[0];
+        throw helpers._create_api_error({code: result.errors[0], message: _.get(result, 'errors_values[0]')});
       }
       return this;
     });
@@ -1,78 +1,514 @@
 'use strict';
 const Promise = require('bluebird');
-const request = require('request-promise').defaults({json: true});
+const _ = require('lodash');
+const crypto = require('crypto');
+const http = require('http');
+const querystring = require('querystring');
+const url = require('url');
 const helpers = require('./helpers');
+const constants = require('./constants');
 const errors = require('./errors');
 
-exports.oauth_request = async (r, method, args, attempts = 0) => {
-  /* r._throttle is a timer that gets reset to r.config().request_delay whenever a request is sent. This ensures that requests
-  are throttled correctly according to the user's config settings, and that no requests are lost. The await statement is
-  wrapped in a loop to make sure that if the throttle promise resolves while multiple requests are pending, only one of the
-  requests is sent, and the others await the throttle again. (The loop is non-blocking due to its await statement.) */
-  while (!r._throttle.isFulfilled()) {
-    await r._throttle;
-  }
-  r._throttle = Promise.delay(r.config().request_delay);
-  if (r.ratelimit_remaining < 1 && Date.now() < r.ratelimit_reset_point) {
-    // If the ratelimit has been exceeded, delay or abort the request depending on the user's config.
-    const time_until_expiry = r.ratelimit_reset_point - Date.now();
-    if (r.config().continue_after_ratelimit_error) {
-      /* If the `continue_after_ratelimit_error` setting is enabled, queue the request, wait until the next ratelimit
-      period, and then send it. */
-      r.warn(errors.RateLimitWarning(time_until_expiry));
-      await Promise.delay(time_until_expiry);
-    } else {
-      // Otherwise, throw an error.
-      throw new errors.RateLimitError(time_until_expiry);
-    }
+// Requests can be described like request-promise calls, i.e. with a uri string and/or an options object.
+const normalize_args = args => typeof args[0] === 'string' ? _.assign({uri: args[0]}, args[1]) : _.assign({}, args[0]);
+
+/* The base URLs can be configured explicitly (e.g. to send requests to a local server in tests). Otherwise, they are derived
+from the endpoint domain. */
+const get_oauth_base_url = r => _.trimEnd(r.config().oauth_base_url || `https://oauth.${r.config().endpoint_domain}`, '/');
+const get_www_base_url = r => _.trimEnd(r.config().www_base_url || `https://www.${r.config().endpoint_domain}`, '/');
+
+// Converts the name of a requester's HTTP helper (e.g. `del` for `_del`) to an HTTP method.
+const get_http_method = method => method === 'del' ? 'DELETE' : method.toUpperCase();
+
+// Splits a uri into its path and its query parameters. The uri can contain its own query string (e.g. if it was taken from a
+// Listing), which gets merged with the `qs` option.
+const parse_uri = options => {
+  const parsed_uri = url.parse(options.uri || options.url || '', true);
+  return {
+    pathname: (parsed_uri.pathname || '').replace(/^\//, ''),
+    qs: _.omitBy(_.assign({}, parsed_uri.query, options.qs), _.isUndefined)
+  };
+};
+
+// Parses a raw response from the transport. Responses to requests with `json: false` (e.g. stylesheets) are left as strings.
+const parse_response = (response, options) => {
+  if (options.json === false || typeof response.body !== 'string' || !response.body.length) {
+    return response;
   }
   try {
-    // If the access token has expired, refresh it.
-    if (r.refresh_token && (!r.access_token || Date.now() > r.token_expiration)) {
-      await exports.update_access_token(r);
+    return _.assign({}, response, {body: JSON.parse(response.body)});
+  } catch (err) {
+    // Some endpoints respond with plain text or HTML, which is returned as a string.
+    return response;
+  }
+};
+
+/* Rejects if a request takes longer than the timeout, or if its signal is aborted while it is in progress. This doesn't rely
+on the transport to enforce either of these, although transports can also use them to stop sending the request. Timeouts are
+treated like network errors, so timed-out GET and HEAD requests can be retried (see is_retryable). */
+const with_timeout_and_signal = (response_promise, timeout, signal) => {
+  let result = Promise.resolve(response_promise);
+  if (timeout !== undefined) {
+    result = result.timeout(timeout).catch(Promise.TimeoutError, () => {
+      throw _.assign(new Error(`Request timed out after ${timeout}ms`), {code: 'ETIMEDOUT'});
+    });
+  }
+  if (!signal) {
+    return result;
+  }
+  let remove_abort_listener;
+  const aborted = new Promise((resolve, reject) => {
+    remove_abort_listener = helpers._on_abort(signal, () => reject(new errors.RequestCancelledError()));
+  });
+  return Promise.race([result, aborted]).finally(remove_abort_listener);
+};
+
+/* Sends a request with the transport from the requester's config. The transport only deals with raw HTTP requests and
+responses; this takes care of building the URL, encoding and parsing JSON, and rejecting responses with error status codes.
+If any middleware functions are given, the request passes through them (in order) on its way to the transport, and the parsed
+response passes back through them (in reverse order) before its status code is checked. The returned response also contains
+the `path` (including the query string) that was requested, which Listings use to fetch more items later. */
+const send_request = async (r, method, options, middleware = []) => {
+  const {pathname, qs} = parse_uri(options);
+  const headers = _.assign({'user-agent': r.user_agent}, options.headers);
+  let body = options.body;
+  if (_.isPlainObject(body) && options.json !== false) {
+    body = JSON.stringify(body);
+    headers['content-type'] = 'application/json';
+  }
+  const timeout = _.isFinite(options.timeout) ? options.timeout : undefined;
+  const request = {
+    method: get_http_method(method),
+    url: `${options.base_url}/${pathname}`,
+    headers,
+    qs,
+    form: options.form && _.omitBy(options.form, _.isUndefined),
+    formData: options.formData,
+    body,
+    timeout,
+    signal: options.signal,
+    proxy: r.config().proxy || undefined,
+    agent: r.config().agent || undefined
+  };
+  const send = outgoing => Promise.resolve(r.config().transport(outgoing)).then(res => parse_response(res, options));
+  const handler = _.reduceRight(middleware, (next, fn) => outgoing => Promise.resolve(fn(outgoing, next)), send);
+  const full_response = _.assign({}, await with_timeout_and_signal(handler(request), timeout, options.signal), {
+    request: _.assign({path: `/${pathname}${_.isEmpty(qs) ? '' : `?${querystring.stringify(qs)}`}`}, request)
+  });
+  const error_details = {
+    status_code: full_response.status_code,
+    // The request is included to make errors easier to debug, but its headers and credentials are left out.
+    request: _.assign(_.pick(request, 'method', 'url', 'qs'), {
+      form: request.form && _.omit(request.form, constants.CREDENTIAL_FIELDS)
+    }),
+    response: _.pick(full_response, 'status_code', 'headers', 'body')
+  };
+  if (!/^2/.test(full_response.status_code)) {
+    const error_body = _.isObject(full_response.body) ? full_response.body : {};
+    const status_text = http.STATUS_CODES[full_response.status_code] || 'Unknown Error';
+    throw helpers._create_api_error(_.assign({
+      code: error_body.reason ? _.toUpper(error_body.reason) : _.snakeCase(status_text).toUpperCase(),
+      message: error_body.message || status_text
+    }, error_details));
+  }
+  // Some endpoints report errors in the body of a successful response, as entries in a `json.errors` array.
+  const json_errors = _.get(full_response.body, 'json.errors');
+  if (!_.isEmpty(json_errors)) {
+    throw helpers._create_json_api_error(json_errors[0], error_details);
+  }
+  return full_response;
+};
+
+/* Requests are retried if reddit responds with one of the configured status codes (which usually indicate a temporary
+problem on reddit's end), or if no response arrives at all because of a transient network error. A request that fails with
+a network error might still have reached reddit, so in that case only requests that don't modify anything are retried.
+(Otherwise, retrying could e.g. post the same comment twice.) */
+const is_retryable = (r, method, err) => {
+  if (err.statusCode) {
+    return _.includes(r.config().retry_error_codes, err.statusCode);
+  }
+  return _.includes(['GET', 'HEAD'], get_http_method(method)) && _.includes(r.config().retry_network_error_codes, err.code);
+};
+
+/* If reddit says how long to wait (with a Retry-After header containing either a number of seconds or a date), wait for
+that long. Otherwise, use exponential backoff with "full jitter": wait for a random amount of time, up to a limit that
+doubles after each attempt. Randomizing the delay prevents many clients from retrying at exactly the same time after an
+outage. */
+const get_retry_delay = (r, err, attempts) => {
+  const retry_after = err.response && err.response.headers && err.response.headers['retry-after'];
+  if (retry_after) {
+    const delay = isNaN(retry_after) ? Date.parse(retry_after) - Date.now() : retry_after * 1000;
+    if (!isNaN(delay)) {
+      return Math.max(delay, 0);
+    }
+  }
+  const max_delay = Math.min(r.config().max_retry_delay, r.config().retry_delay * Math.pow(2, attempts));
+  return Math.round(Math.random() * max_delay);
+};
+
+const get_ratelimit_state = r => _.pick(r, 'ratelimit_remaining', 'ratelimit_used', 'ratelimit_reset_point');
+
+/* This runs after any middleware, immediately before and after the transport, so it only sees requests that are actually
+sent to reddit. It updates the ratelimit state from the response headers, emits the `request` and `response` events, and
+logs both of them at the debug level. */
+const track_request = (r, details) => (request, next) => {
+  const start_time = Date.now();
+  const request_info = _.assign({url: request.url, start_time}, details);
+  r.emit('request', request_info);
+  r._log('debug', `Sending ${details.method} request to ${request.url}`, request_info);
+  return next(request).then(response => {
+    if (_.has(response.headers, 'x-ratelimit-remaining')) {
+      r.ratelimit_remaining = +response.headers['x-ratelimit-remaining'];
+      r.ratelimit_used = +response.headers['x-ratelimit-used'];
+      r.ratelimit_reset_point = Date.now() + response.headers['x-ratelimit-reset'] * 1000;
+    }
+    const response_info = _.assign({
+      url: request.url,
+      status_code: response.status_code,
+      start_time,
+      duration: Date.now() - start_time
+    }, details, get_ratelimit_state(r));
+    r.emit('response', response_info);
+    r._log('debug', `Received status code ${response.status_code} from ${request.url}`, response_info);
+    return response;
+  });
+};
+
+// `error` events are only emitted if something is listening for them, since EventEmitters throw unhandled `error` events.
+const emit_error = (r, err, details) => {
+  if (r.listenerCount('error')) {
+    r.emit('error', err, details);
+  }
+};
+
+/* Identifies a request when checking for identical requests that are in progress, and in the response cache (see
+get_cache_key). Query parameters are sorted, so that the order in which they were specified doesn't matter. */
+const get_request_key = (base_url, {pathname, qs}) => {
+  const sorted_qs = _(qs).toPairs().sortBy(0).fromPairs().value();
+  return `${base_url}/${pathname}?${querystring.stringify(sorted_qs)}`;
+};
+
+/* Identifies a request in the response cache. Many responses are specific to an account (e.g. `api/v1/me` or the inbox), so
+the key also contains the account (or, for requesters that don't know their account's name, the credentials) that the
+requester uses. Since cache stores might be shared with other processes, this is hashed rather than included directly. */
+const get_cache_key = (r, request_key) => {
+  const identity = r.username
+    ? `user:${r.username}`
+    : r.refresh_token || (r.app_only ? `app:${r.client_id}:${r.device_id}` : r.access_token);
+  return `${crypto.createHash('sha256').update(`${identity}`).digest('hex')} ${request_key}`;
+};
+
+const get_cache_ttl = (r, {pathname, qs}) => {
+  const cache_ttl = r.config().cache_ttl;
+  return typeof cache_ttl === 'function' ? cache_ttl(pathname, qs) : cache_ttl;
+};
+
+/* This runs after any middleware, and stores successful responses in the cache. If an expired cache entry is available and
+reddit sent an ETag or a Last-Modified header along with it, the request is made conditional, and a `304 Not Modified`
+response is replaced by the cached response. */
+const update_cache = (r, cache_key, ttl, stale_entry) => (request, next) => {
+  const validators = stale_entry ? _.omitBy({
+    'if-none-match': stale_entry.response.headers.etag,
+    'if-modified-since': stale_entry.response.headers['last-modified']
+  }, _.isUndefined) : {};
+  return next(_.assign({}, request, {headers: _.assign({}, request.headers, validators)})).then(response => {
+    const fresh_response = response.status_code === 304 && !_.isEmpty(validators) ? stale_entry.response : response;
+    if (!/^2/.test(fresh_response.status_code) || !(ttl > 0)) {
+      return fresh_response;
     }
-    // Send the request and return the response.
-    return await request.defaults({
-      headers: {'user-agent': r.user_agent},
-      baseUrl: `https://oauth.${r.config().endpoint_domain}`,
-      qs: {raw_json: 1},
-      auth: {bearer: r.access_token},
-      transform (body, response) {
-        r.ratelimit_remaining = response.headers['x-ratelimit-remaining'];
-        r.ratelimit_reset_point = Date.now() + response.headers['x-ratelimit-reset'] * 1000;
-        const populated = helpers._populate(body, r);
-        if (populated && populated.constructor && populated.constructor.name === 'Listing') {
-          populated.uri = response.request.uri.path;
-        }
-        return populated;
+    const entry = {response: _.pick(fresh_response, 'status_code', 'headers', 'body'), expiration: Date.now() + ttl};
+    return Promise.resolve(r.config().cache.set(cache_key, entry)).return(fresh_response);
+  });
+};
+
+const handle_response = (r, options, response) => {
+  if (options.transform) {
+    return options.transform(response.body, response);
+  }
+  const populated = helpers._populate(response.body, r);
+  if (populated && populated.constructor && populated.constructor.name === 'Listing') {
+    populated.uri = response.request.path;
+  }
+  return populated;
+};
+
+/* Sends a request to reddit's OAuth API and returns the raw response, refreshing the access token and retrying the request if
+necessary. `extra_middleware` runs after the requester's own middleware (e.g. to store the response in the cache). */
+const send_oauth_request = async (r, method, options, extra_middleware, attempts = 0, has_reauthenticated = false) => {
+  const priority = _.isNumber(options.priority) ? options.priority : r.config().request_priority;
+  const timeout = _.isNumber(options.timeout) ? options.timeout : r.config().timeout;
+  const details = {
+    method: get_http_method(method),
+    uri: options.uri || options.url,
+    attempt: attempts + 1
+  };
+  const middleware = r._middleware.concat(extra_middleware, track_request(r, details));
+  let access_token;
+  try {
+    return await r._request_queue.add(async () => {
+      // If the access token has expired (or is about to expire), refresh it.
+      if (exports.can_refresh_access_token(r) &&
+          (!r.access_token || Date.now() > r.token_expiration - r.config().token_refresh_margin)) {
+        await exports.update_access_token(r);
       }
-    })[method](...args);
+      access_token = r.access_token;
+      // Send the request and return the response.
+      const res = await send_request(r, method, _.assign({}, options, {
+        base_url: get_oauth_base_url(r),
+        headers: _.assign({authorization: `bearer ${access_token}`}, options.headers),
+        qs: _.assign({raw_json: 1}, options.qs),
+        timeout
+      }), middleware);
+      return res;
+    }, priority, options.signal);
   } catch (err) {
-    if (attempts + 1 >= r.config().max_retry_attempts || r.config().retry_error_codes.indexOf(err.statusCode) === -1) {
+    if (err.statusCode === 401 && !has_reauthenticated && exports.can_refresh_access_token(r)) {
+      /* reddit rejected a token that was believed to be valid (e.g. because it was revoked), so get a new token and try the
+      request again, once. If another request has already replaced the rejected token in the meantime, use the new one. */
+      if (r.access_token === access_token) {
+        await exports.update_access_token(r, {force: true});
+      }
+      return send_oauth_request(r, method, options, extra_middleware, attempts, true);
+    }
+    if (attempts + 1 >= r.config().max_retry_attempts || !is_retryable(r, method, err)) {
+      emit_error(r, err, _.assign({status_code: err.status_code}, details, get_ratelimit_state(r)));
       throw err;
     }
-    r.warn(`Warning: Received status code ${err.statusCode} from reddit. Retrying request...`);
-    return await exports.oauth_request(r, method, args, attempts + 1);
-  }
-};
-
-exports.base_client_request = (r, method, args) => request.defaults({
-  auth: {user: r.client_id, pass: r.client_secret},
-  headers: {'user-agent': r.user_agent},
-  baseUrl: `https://www.${r.config().endpoint_domain}`
-})[method](...args);
-
-exports.unauthenticated_request = (r, method, args) => request.defaults({
-  headers: {'user-agent': r.user_agent},
-  baseUrl: `https://www.${r.config().endpoint_domain}`
-})[method](...args);
-
-exports.update_access_token = async r => {
-  const token_info = await exports.base_client_request(r, 'post', [{
-    uri: 'api/v1/access_token',
-    form: {grant_type: 'refresh_token', refresh_token: r.refresh_token}
-  }]);
-  r.access_token = token_info.access_token;
-  r.token_expiration = Date.now() + token_info.expires_in * 1000;
-  r.scope = token_info.scope.split(' ');
+    const retry_delay = get_retry_delay(r, err, attempts);
+    const reason = err.statusCode ? `Received status code ${err.statusCode} from reddit` : `Request failed with ${err.code}`;
+    const max_attempts = r.config().max_retry_attempts;
+    const retry_info = _.assign({}, details, {
+      attempt: attempts + 2,
+      max_attempts,
+      delay: retry_delay,
+      status_code: err.status_code,
+      error: err
+    }, get_ratelimit_state(r));
+    r.emit('retry', retry_info);
+    r._log(
+      'warn',
+      `Warning: ${reason}. Retrying request in ${retry_delay}ms (attempt ${attempts + 2} of ${max_attempts})...`,
+      retry_info
+    );
+    await Promise.delay(retry_delay);
+    // The retried request goes back into the queue with the same priority.
+    return send_oauth_request(r, method, options, extra_middleware, attempts + 1);
+  }
+};
+
+/* Identifies the object that a snoowrap method was called on. Where possible, this is the object's fullname (e.g.
+`t1_c0b6xx0` or `t2_abc123`). Unfetched objects might not have a fullname yet, so other identifying properties are used for
+them, and wiki pages, which don't have fullnames, are identified by their subreddit and title (e.g. `AskReddit/index`). */
+const TARGET_NAME_GETTERS = {
+  RedditUser: target => target.id ? `t2_${target.id}` : target.name,
+  LiveThread: target => target.name || `LiveUpdateEvent_${target.id}`,
+  WikiPage: target => `${target.subreddit.display_name}/${target.title}`
+};
+
+const get_target_name = target => {
+  const getter = TARGET_NAME_GETTERS[target.constructor.name];
+  return getter ? getter(target) : target.name || target.display_name || target.id;
+};
+
+/* Describes the snoowrap method that sent a request (see the method wrappers in snoowrap.js), and the object that it was
+called on. (The `_raw` property bypasses the Proxy around content objects, so that looking for identifying properties doesn't
+cause a fetch.) */
+const describe_action = action => {
+  if (!action) {
+    return {action: undefined};
+  }
+  return {
+    action: action.method_name,
+    target: get_target_name(action.target._raw || action.target),
+    target_type: action.target.constructor.name
+  };
+};
+
+/* Records a request that is skipped because of the `dry_run` option, and returns a fake response. The response has the
+structure of most successful responses to POST requests, so that the code that sent the request can continue. (A few
+endpoints, such as the one for uploading subreddit images, report errors in a top-level `errors` array instead, so the
+response has an empty one of those as well.) Since it doesn't contain any new content, it is marked with `dry_run: true`, so
+that methods which return new content can return a placeholder instead (see helpers._dry_run_placeholder). */
+const skip_dry_run_request = (r, method, options, action) => {
+  const entry = _.assign(
+    describe_action(action),
+    {method: get_http_method(method), uri: options.uri || options.url},
+    _.pick(options, 'qs', 'form', 'body'),
+    {timestamp: Date.now()}
+  );
+  r._dry_run_actions.push(entry);
+  const source = entry.action ? ` (from ${entry.action})` : '';
+  r._log('info', `Dry run: skipped ${entry.method} request to ${entry.uri}${source}`, entry);
+  return {errors: [], json: {errors: [], data: {things: [], dry_run: true}}};
+};
+
+/* The name of the account that a requester uses, if it's known or can be found out. (Requesters with application-only access
+don't use an account.) This is only looked up once for each requester, even if the lookup fails (e.g. because the access token
+doesn't have the `identity` scope), so that audited requests don't each send another request to find it out. */
+const get_account_name = r => {
+  if (!r._account_name) {
+    r._account_name = Promise.try(() => r.username || r._get_my_name()).catch(_.noop);
+  }
+  return r._account_name;
+};
+
+/* Reports a request that modifies something on reddit to the requester's audit sink once it has finished, and then settles
+in the same way as the request. Failing to write the entry doesn't affect the request. */
+const audit_request = async (r, method, options, action, response_promise) => {
+  let response, error;
+  try {
+    response = await response_promise;
+  } catch (err) {
+    error = err;
+  }
+  const entry = _.assign({timestamp: Date.now(), account: await get_account_name(r)}, describe_action(action), {
+    method: get_http_method(method),
+    uri: options.uri || options.url,
+    params: _.omit(
+      _.assign({}, options.qs, options.form, _.isPlainObject(options.body) ? options.body : {}),
+      constants.CREDENTIAL_FIELDS
+    ),
+    result: error ? 'failure' : 'success',
+    status_code: error ? error.status_code : response.status_code,
+    error: error && _.pick(error, 'name', 'code', 'message')
+  });
+  try {
+    await r.config().audit_sink.write(entry);
+  } catch (err) {
+    r._log('error', `Failed to write an audit log entry: ${err.message}`, {entry, error: err});
+  }
+  if (error) {
+    throw error;
+  }
+  return response;
+};
+
+exports.oauth_request = async (r, method, args) => {
+  const options = normalize_args(args);
+  /* The method that sent this request, if it was sent by a snoowrap method (see the method wrappers in snoowrap.js). The
+  requester's `_current_action` is only set while a method is running synchronously, so methods that send requests later on
+  pass the action explicitly. Either way, it needs to be read before anything is awaited. */
+  const action = options.action || r._current_action;
+  if (method !== 'get' && r.config().dry_run) {
+    return skip_dry_run_request(r, method, options, action);
+  }
+  const uri_info = parse_uri(options);
+  const request_key = get_request_key(get_oauth_base_url(r), uri_info);
+  const extra_middleware = [];
+  /* Fresh responses from the cache are used without going through the queue at all, since they don't count towards the
+  ratelimit. (The `cache: false` option skips this, but the response is still stored in the cache afterwards.) */
+  const cache = method === 'get' && r.config().cache;
+  if (cache) {
+    const cache_key = get_cache_key(r, request_key);
+    const cache_entry = await cache.get(cache_key);
+    if (cache_entry && options.cache !== false && Date.now() < cache_entry.expiration) {
+      r._log('debug', `Using cached response for ${request_key}`, {method: 'GET', uri: options.uri || options.url});
+      const path = `/${uri_info.pathname}${_.isEmpty(uri_info.qs) ? '' : `?${querystring.stringify(uri_info.qs)}`}`;
+      return handle_response(r, options, _.assign(_.cloneDeep(cache_entry.response), {request: {path}}));
+    }
+    extra_middleware.push(update_cache(r, cache_key, get_cache_ttl(r, uri_info), cache_entry));
+  }
+  /* If an identical GET request is already in progress, wait for its response instead of sending another request. Each caller
+  gets its own copy of the response, so the objects that are created from it are independent. Requests with a cancellation
+  signal are never combined, since cancelling one of them would otherwise cancel the others as well. */
+  if (method !== 'get') {
+    const response_promise = send_oauth_request(r, method, options, extra_middleware);
+    const audited_response = r.config().audit_sink
+      ? audit_request(r, method, options, action, response_promise)
+      : response_promise;
+    return handle_response(r, options, await audited_response);
+  }
+  if (options.signal || !r.config().coalesce_requests) {
+    return handle_response(r, options, await send_oauth_request(r, method, options, extra_middleware));
+  }
+  const pending_key = options.json === false ? `${request_key} (raw)` : request_key;
+  if (r._pending_requests[pending_key]) {
+    r._log('debug', `Waiting for an identical request to ${request_key}`, {method: 'GET', uri: options.uri || options.url});
+  } else {
+    const pending_request = send_oauth_request(r, method, options, extra_middleware);
+    r._pending_requests[pending_key] = Promise.resolve(pending_request).finally(() => {
+      delete r._pending_requests[pending_key];
+    });
+  }
+  return handle_response(r, options, _.cloneDeep(await r._pending_requests[pending_key]));
+};
+
+exports.base_client_request = (r, method, args) => {
+  const options = normalize_args(args);
+  const credentials = Buffer.from(`${r.client_id}:${r.client_secret || ''}`).toString('base64');
+  return send_request(r, method, _.assign({}, options, {
+    base_url: get_www_base_url(r),
+    headers: _.assign({authorization: `Basic ${credentials}`}, options.headers)
+  })).get('body');
+};
+
+exports.unauthenticated_request = (r, method, args) => send_request(r, method, _.assign({
+  base_url: get_www_base_url(r)
+}, normalize_args(args))).get('body');
+
+/* Determines which grant should be used to get a new access token, depending on the credentials that the requester was
+given. Returns undefined if the requester has no way of getting a new access token (i.e. it only has an access token). */
+const get_token_grant = r => {
+  if (r.refresh_token) {
+    return {grant_type: 'refresh_token', refresh_token: r.refresh_token};
+  }
+  if (r.username && r.password) {
+    return {grant_type: 'password', username: r.username, password: r.password};
+  }
+  if (r.app_only) {
+    // Apps with a secret use the client_credentials grant. Installed apps have no secret, so they send a device ID instead.
+    return r.client_secret
+      ? {grant_type: 'client_credentials'}
+      : {grant_type: constants.INSTALLED_CLIENT_GRANT_TYPE, device_id: r.device_id};
+  }
+};
+
+exports.can_refresh_access_token = r => !!get_token_grant(r);
+
+const use_token = (r, token) => {
+  r.access_token = token.access_token;
+  r.token_expiration = token.token_expiration;
+  r.scope = token.scope;
+};
+
+const fetch_access_token = async (r, force) => {
+  /* If the token store has a different token that is still valid (e.g. because another process that shares the store has
+  already refreshed it), use that token instead of requesting a new one. */
+  const stored_token = await r.token_store.get();
+  const stored_token_is_valid = stored_token && Date.now() < stored_token.token_expiration - r.config().token_refresh_margin;
+  if (!force && stored_token_is_valid && stored_token.access_token !== r.access_token) {
+    return use_token(r, stored_token);
+  }
+  const grant = get_token_grant(r);
+  r.emit('token_refresh', {grant_type: grant.grant_type});
+  r._log('debug', 'Requesting a new access token', {grant_type: grant.grant_type});
+  const token_info = await exports.base_client_request(r, 'post', [{uri: 'api/v1/access_token', form: grant}]);
+  /* reddit reports rejected credentials (e.g. a wrong password or a revoked refresh token) with a 200 response that contains
+  an `error` instead of a token. */
+  if (token_info.error) {
+    throw helpers._create_api_error({
+      code: _.toUpper(token_info.error),
+      message: `reddit refused to issue an access token with the '${grant.grant_type}' grant. Check the credentials.`,
+      status_code: 200
+    });
+  }
+  const token = {
+    access_token: token_info.access_token,
+    token_expiration: Date.now() + token_info.expires_in * 1000,
+    scope: token_info.scope.split(' ')
+  };
+  use_token(r, token);
+  await r.token_store.set(token);
+  r.emit('token_refreshed', token);
+};
+
+/* Only one token refresh is in flight at any given time. If the token needs to be refreshed while many requests are pending,
+they all wait for the same refresh rather than each sending their own request to reddit. */
+exports.update_access_token = (r, {force = false} = {}) => {
+  if (!r._token_refresh) {
+    r._token_refresh = Promise.resolve(fetch_access_token(r, force)).finally(() => {
+      r._token_refresh = undefined;
+    });
+  }
+  return r._token_refresh;
 };
@@ -0,0 +1,117 @@
+'use strict';
+const Promise = require('bluebird');
+const _ = require('lodash');
+const errors = require('./errors');
+const helpers = require('./helpers');
+
+/* Schedules the requests that are sent by a requester. Requests are sent in order of priority (and in the order that they
+were added, for requests with the same priority), while respecting the requester's `request_delay` and
+`max_concurrent_requests` settings and reddit's ratelimit. Nothing is polled: whenever a request is added or finishes, the
+queue sends as many requests as it can, and if it needs to wait before sending the next one, it sets a single timer. */
+const RequestQueue = class {
+  constructor (r) {
+    this._r = r;
+    this._items = [];
+    this._active_count = 0;
+    this._last_send_time = -Infinity;
+    this._timer = null;
+    this._is_waiting_for_ratelimit = false;
+  }
+  // The number of requests that are waiting to be sent. Requests that have already been sent are not included.
+  get size () {
+    return this._items.length;
+  }
+  /* Adds a task (a function that sends a request and returns a Promise) to the queue. Returns a Promise that settles with
+  the result of the task once it has been run. If the given signal is aborted before the task is run, the task is removed
+  from the queue and the Promise is rejected. */
+  add (task, priority = 0, signal) {
+    return new Promise((resolve, reject) => {
+      const item = {task, priority, resolve, reject, remove_abort_listener: _.noop};
+      // Items are kept sorted by priority. New items go after all existing items with the same or a higher priority.
+      const index = _.findIndex(this._items, other => other.priority < priority);
+      this._items.splice(index === -1 ? this._items.length : index, 0, item);
+      if (signal) {
+        item.remove_abort_listener = helpers._on_abort(signal, () => {
+          if (_.includes(this._items, item)) {
+            _.pull(this._items, item);
+            reject(new errors.RequestCancelledError());
+            this._dispatch();
+          }
+        });
+      }
+      this._dispatch();
+    });
+  }
+  _dispatch () {
+    clearTimeout(this._timer);
+    this._timer = null;
+    while (this._items.length && this._active_count < this._r.config().max_concurrent_requests) {
+      const wait_time = this._get_wait_time();
+      if (wait_time === null) {
+        // The ratelimit has been exceeded, and the requester is configured to throw an error in that case.
+        this._items.shift().reject(new errors.RateLimitError(this._r.ratelimit_reset_point - Date.now()));
+        continue;
+      }
+      if (wait_time > 0) {
+        this._timer = setTimeout(() => this._dispatch(), wait_time);
+        return;
+      }
+      this._send(this._items.shift());
+    }
+  }
+  /* Returns the number of milliseconds to wait before the next request can be sent, or null if the ratelimit has been
+  exceeded and requests should fail instead of waiting. */
+  _get_wait_time () {
+    const r = this._r;
+    const now = Date.now();
+    if (r.ratelimit_remaining < 1 && now < r.ratelimit_reset_point) {
+      if (!r.config().continue_after_ratelimit_error) {
+        return null;
+      }
+      if (!this._is_waiting_for_ratelimit) {
+        this._is_waiting_for_ratelimit = true;
+        const wait_info = {
+          type: 'request',
+          wait_time: r.ratelimit_reset_point - now,
+          queue_size: this.size,
+          ratelimit_remaining: r.ratelimit_remaining,
+          ratelimit_used: r.ratelimit_used,
+          ratelimit_reset_point: r.ratelimit_reset_point
+        };
+        r.emit('ratelimit_wait', wait_info);
+        r._log('warn', errors.RateLimitWarning(wait_info.wait_time), wait_info);
+      }
+      return r.ratelimit_reset_point - now;
+    }
+    this._is_waiting_for_ratelimit = false;
+    const delay_wait_time = this._last_send_time + r.config().request_delay - now;
+    return r.config().ratelimit_pacing ? Math.max(delay_wait_time, this._get_pacing_wait_time(now)) : delay_wait_time;
+  }
+  /* With ratelimit pacing, the requests that are left in the current ratelimit period are spread evenly over the rest of the
+  period, rather than being sent as quickly as possible until the ratelimit runs out. Requests that are currently in progress
+  will use up some of the remaining requests once they finish, so they are subtracted in advance. */
+  _get_pacing_wait_time (now) {
+    const r = this._r;
+    if (this._last_send_time === -Infinity || !(r.ratelimit_reset_point > now) || isNaN(r.ratelimit_remaining)) {
+      // Nothing is known about the current ratelimit period yet, so there is nothing to pace.
+      return 0;
+    }
+    const remaining_requests = r.ratelimit_remaining - this._active_count;
+    if (remaining_requests <= 0) {
+      return r.ratelimit_reset_point - now;
+    }
+    const interval = (r.ratelimit_reset_point - this._last_send_time) / remaining_requests;
+    return this._last_send_time + interval - now;
+  }
+  _send (item) {
+    item.remove_abort_listener();
+    this._active_count++;
+    this._last_send_time = Date.now();
+    Promise.try(item.task).finally(() => {
+      this._active_count--;
+      this._dispatch();
+    }).then(item.resolve, item.reject);
+  }
+};
+
+module.exports = RequestQueue;
@@ -6,29 +6,161 @@ const request_handler = require('./request_handler');
 const constants = require('./constants');
 const errors = require('./errors');
 const helpers = require('./helpers');
+const token_stores = require('./token_stores');
+const transports = require('./transports');
+const RequestQueue = require('./request_queue');
+const InfoBatcher = require('./info_batcher');
+const method_scopes = require('./method_scopes');
+const config_schema = require('./config_schema');
+const EventEmitter = require('events').EventEmitter;
+const parse_url = require('url').parse;
 const api_type = 'json';
 
-/** The class for a snoowrap requester */
-const snoowrap = class {
+// Finds the scope for a method by walking up the class hierarchy, so that subclasses can override their parents' scopes.
+const get_required_scope = (target_class, method_name) => {
+  for (let current = target_class; current && current.prototype; current = Object.getPrototypeOf(current)) {
+    if (_.has(method_scopes[current.name], method_name)) {
+      return method_scopes[current.name][method_name];
+    }
+  }
+};
+
+// Throws an InvalidMethodCallError if the given config options contain an unknown option or an invalid value.
+const validate_config = options => {
+  _.forEach(options, (value, key) => {
+    if (!_.has(config_schema, key)) {
+      throw new errors.InvalidMethodCallError(`Unknown config option '${key}'.`);
+    }
+    if (!config_schema[key].validate(value)) {
+      throw new errors.InvalidMethodCallError(
+        `Invalid value for config option '${key}' (expected ${config_schema[key].description}).`
+      );
+    }
+  });
+};
+
+/* Copies a config, including the arrays and plain objects in it (e.g. `retry_error_codes`), so that modifying them in place
+doesn't affect the defaults or any other requester. */
+const copy_config = config => _.mapValues(
+  config,
+  value => Array.isArray(value) || _.isPlainObject(value) ? _.clone(value) : value
+);
+
+/* Gets a Submission or a Comment from the path segments of a link to a comment thread, starting after `comments` (i.e.
+`[submission_id, title, comment_id]`). Comment permalinks can have a `context` query parameter, which is kept if it is a
+non-negative integer. */
+const get_from_thread_path = (r, [submission_id, title, comment_id], query) => {
+  if (!comment_id) {
+    return r.get_submission(submission_id);
+  }
+  const context = /^\d+$/.test(query.context) ? {context: Number(query.context)} : {};
+  return r._new_object('Comment', _.assign({name: `t1_${comment_id}`, link_id: `t3_${submission_id}`}, context));
+};
+
+// Gets the content that a reddit URL links to from the segments of its path, or returns `undefined` if it isn't recognized.
+const get_from_path = (r, parts, query) => {
+  if (parts[0] === 'comments' && parts[1]) {
+    return get_from_thread_path(r, parts.slice(1), query);
+  }
+  if (parts[0] === 'r' && parts[1]) {
+    if (parts[2] === 'comments' && parts[3]) {
+      return get_from_thread_path(r, parts.slice(3), query);
+    }
+    if (parts[2] === 'wiki') {
+      return r.get_subreddit(parts[1]).get_wiki_page(parts.slice(3).join('/') || 'index');
+    }
+    return r.get_subreddit(parts[1]);
+  }
+  if ((parts[0] === 'u' || parts[0] === 'user') && parts[1]) {
+    if (parts[2] === 'comments' && parts[3]) {
+      return get_from_thread_path(r, parts.slice(3), query);
+    }
+    if (parts[2] === 'm' && parts[3]) {
+      return r.get_user(parts[1]).get_multireddit(parts[3]);
+    }
+    return r.get_user(parts[1]);
+  }
+  if (parts[0] === 'live' && parts[1]) {
+    return r.get_livethread(parts[1]);
+  }
+};
+
+// The methods that are used to get content from its fullname, by the prefix of the fullname.
+const FULLNAME_GETTERS = {t1: 'get_comment', t3: 'get_submission', t4: 'get_message', LiveUpdateEvent: 'get_livethread'};
+
+/* Requesters that are created with snoowrap#with_config share these properties with the original requester. Reading them
+returns the original requester's value, and assigning them updates the original requester. */
+const SHARED_STATE_KEYS = [
+  'access_token', 'refresh_token', 'token_expiration', 'scope',
+  'ratelimit_remaining', 'ratelimit_used', 'ratelimit_reset_point', 'own_user_info', '_token_refresh'
+];
+
+/**
+* @summary The class for a snoowrap requester
+* @desc Requesters are [EventEmitters](https://nodejs.org/api/events.html#events_class_eventemitter). The following events
+can be emitted:
+- `request`: Occurs when a request is sent to reddit. Emits an object with the `method`, the `uri` that was requested, the
+full `url`, the `attempt` number (which is greater than 1 for retried requests), and the `start_time` (a timestamp in
+milliseconds).
+- `response`: Occurs when a response is received from reddit. Emits an object with the same properties as the `request`
+event, as well as the `status_code`, the `duration` of the request in milliseconds, and the current state of reddit's
+ratelimit (`ratelimit_remaining`, `ratelimit_used` and `ratelimit_reset_point`).
+- `retry`: Occurs when a request failed with a temporary error and is about to be retried. Emits an object with the
+`method`, the `uri`, the `attempt` number of the next request, the `max_attempts`, the `delay` in milliseconds before the
+next attempt, the `status_code` (if a response was received), the `error` that caused the retry, and the ratelimit state.
+- `ratelimit_wait`: Occurs when snoowrap starts waiting because of a ratelimit. Emits an object with the `wait_time` in
+milliseconds and a `type`, which is `'request'` if reddit's ratelimit for API requests was exceeded (in which case the object
+also contains the `queue_size` and the ratelimit state), or `'action'` if the account did something too often (see the
+`continue_after_action_ratelimit_error` config option).
+- `token_refresh`: Occurs when snoowrap starts requesting a new access token. Emits an object with the `grant_type` that is
+used to get the token.
+- `token_refreshed`: Occurs when a new access token has been obtained. Emits an object with `access_token`,
+`token_expiration` (a timestamp in milliseconds) and `scope` properties.
+- `error`: Occurs when a request fails (after any retries). Emits the error, and an object with the `method`, the `uri`, the
+`attempt` number, the `status_code` (if a response was received), and the ratelimit state. Unlike most EventEmitters,
+requesters don't throw an error if nothing is listening for `error` events, since the error is also used to reject the
+Promise that was returned for the request.
+* @extends EventEmitter
+*/
+const snoowrap = class extends EventEmitter {
   /**
   * @summary Constructs a new requester. This will be necessary if you want to do anything.
   * @param {object} $0 An Object containing credentials.  This should have the properties (a) `user_agent`,
-  `client_id`, `client_secret`, and `refresh_token`, **or** (b) `user_agent` and `access_token`.
+  `client_id`, `client_secret`, and `refresh_token`, (b) `user_agent`, `client_id`, `client_secret`, `username` and
+  `password`, (c) `user_agent`, `client_id` and `app_only`, **or** (d) `user_agent` and `access_token`.
   * @param {string} $0.user_agent A unique description of what your app does
   * @param {string} [$0.client_id] The client ID of your app (assigned by reddit)
-  * @param {string} [$0.client_secret] The client secret of your app (assigned by reddit)
+  * @param {string} [$0.client_secret] The client secret of your app (assigned by reddit). Installed apps do not have a
+  client secret, so this can be omitted for them when using `app_only`.
   * @param {string} [$0.refresh_token] A refresh token for your app. You will need to get this from reddit beforehand. A
   script to automatically generate refresh tokens for you can be found
   [here](https://github.com/not-an-aardvark/reddit-oauth-helper).
+  * @param {string} [$0.username] The username of the account that a script app should use. If this and `password` are
+  provided, access tokens are obtained with reddit's `password` grant. (This only works for apps of the "script" type, and
+  only for accounts that are listed as developers of the app.)
+  * @param {string} [$0.password] The password of the account that a script app should use
+  * @param {boolean} [$0.app_only=false] If this is `true`, the requester uses application-only access, which is not
+  associated with any user account and can only be used for read-only requests. Access tokens are obtained with the
+  `client_credentials` grant if a `client_secret` is provided, and with the `installed_client` grant otherwise.
+  * @param {string} [$0.device_id='DO_NOT_TRACK_THIS_DEVICE'] A unique identifier for the device. This is only used for
+  application-only access by installed apps.
   * @param {string} [$0.access_token] An access token for your app. If this is provided, then the
   client ID/client secret/refresh token are not required. Note that all access tokens expire one hour after being
   generated; if you want to retain access for longer than that, provide the other credentials instead.
+  * @param {object} [$0.token_store] A store where access tokens are saved when they are refreshed, and where the requester
+  looks for a valid token before refreshing one. By default, tokens are only kept in memory. For more information, see
+  {@link MemoryTokenStore}.
   */
-  constructor ({user_agent, client_id, client_secret, refresh_token, access_token}) {
+  constructor ({
+    user_agent, client_id, client_secret, refresh_token, access_token, username, password, app_only = false,
+    device_id = constants.DEFAULT_DEVICE_ID, token_store = new token_stores.MemoryTokenStore()
+  }) {
+    super();
     if (!user_agent) {
       throw new errors.MissingUserAgentError();
     }
-    if (!access_token && !(client_id && client_secret && refresh_token)) {
+    if (!access_token && !(client_id && client_secret && (refresh_token || username && password)) &&
+        !(client_id && app_only)) {
       throw new errors.NoCredentialsError();
     }
     this.user_agent = user_agent;
@@ -36,12 +168,108 @@ const snoowrap = class {
     this.client_secret = client_secret;
     this.refresh_token = refresh_token;
     this.access_token = access_token;
-    this._config = require('./default_config');
-    this._throttle = Promise.resolve();
+    this.username = username;
+    this.password = password;
+    this.app_only = app_only;
+    this.device_id = device_id;
+    this.token_store = token_store;
+    this._config = copy_config(require('./default_config'));
+    this._request_queue = new RequestQueue(this);
+    this._middleware = [];
+    this._pending_requests = {};
+    this._info_batcher = new InfoBatcher(this);
+    this._dry_run_actions = [];
   }
   static get name () {
     return constants.MODULE_NAME;
   }
+  /**
+  * @summary Gets an authorization URL, which allows a user to authorize access to their account.
+  * @desc This is the first step of reddit's "code flow" for web apps. The user should be sent to the returned URL; after
+  they accept the authorization request, reddit will redirect them to `redirect_uri` with `state` and `code` parameters in the
+  querystring. The code can then be exchanged for a requester using {@link snoowrap.from_auth_code}.
+  * @param {object} $0
+  * @param {string} $0.client_id The client ID of your app (assigned by reddit)
+  * @param {string[]} $0.scope An array of scopes (permissions on the user's account) that should be requested, e.g.
+  `['identity', 'read']`. For a list of valid scopes, see {@link snoowrap#get_oauth_scope_list}.
+  * @param {string} $0.redirect_uri The redirect URI that is configured for the app on reddit
+  * @param {boolean} [$0.permanent=true] If `true`, the app will receive a refresh token, allowing it to keep access to the
+  account indefinitely. If `false`, access will expire after an hour.
+  * @param {string} [$0.state='_'] An arbitrary string that will be passed back to `redirect_uri` after authorization. This
+  should generally be a unique value for each authorization request, so that the app can check that the redirect was not
+  forged.
+  * @param {string} [$0.endpoint_domain='reddit.com'] The endpoint domain that the URL should point to
+  * @returns {string} A URL where the user can authorize the app
+  */
+  static get_auth_url ({client_id, scope, redirect_uri, permanent = true, state = '_', endpoint_domain = 'reddit.com'}) {
+    if (!client_id || !redirect_uri) {
+      throw new errors.InvalidMethodCallError('A client_id and a redirect_uri are required to get an authorization URL.');
+    }
+    if (!Array.isArray(scope) || !scope.length) {
+      throw new errors.InvalidMethodCallError('`scope` must be a non-empty Array of scope names.');
+    }
+    return `https://www.${endpoint_domain}/api/v1/authorize?${require('querystring').stringify({
+      client_id,
+      response_type: 'code',
+      state,
+      redirect_uri,
+      duration: permanent ? 'permanent' : 'temporary',
+      scope: scope.join(' ')
+    })}`;
+  }
+  /**
+  * @summary Creates a new requester from an authorization code.
+  * @desc This is the second step of reddit's "code flow" for web apps. The code should be taken from the querystring that
+  reddit sends to the app's redirect URI after the user has visited a URL from {@link snoowrap.get_auth_url}. Note that
+  authorization codes can only be used once.
+  * @param {object} $0
+  * @param {string} $0.code The authorization code
+  * @param {string} $0.user_agent A unique description of what your app does
+  * @param {string} $0.client_id The client ID of your app (assigned by reddit)
+  * @param {string} [$0.client_secret] The client secret of your app (assigned by reddit). This should be omitted for
+  installed apps, which do not have a client secret.
+  * @param {string} $0.redirect_uri The redirect URI that was used to get the authorization code
+  * @param {string} [$0.endpoint_domain='reddit.com'] The endpoint domain that the requester should use
+  * @param {object} [$0.config] Config options for the new requester (see {@link snoowrap#config}). These are also used to
+  exchange the code, so options such as `proxy` and `www_base_url` apply to that request as well.
+  * @returns {Promise} A Promise that fulfills with a new snoowrap requester, authenticated as the user who authorized the
+  app. If the code was obtained with `permanent: true`, the requester will also have a refresh token.
+  */
+  static from_auth_code ({
+    code, user_agent, client_id, client_secret = '', redirect_uri, endpoint_domain = 'reddit.com', config: config_options
+  }) {
+    if (!user_agent) {
+      throw new errors.MissingUserAgentError();
+    }
+    if (!code || !client_id || !redirect_uri) {
+      throw new errors.InvalidMethodCallError('A code, a client_id and a redirect_uri are required to use an auth code.');
+    }
+    // Codes can only be used once, so invalid config options are reported before the code is sent.
+    validate_config(config_options);
+    const config = copy_config(_.assign({}, require('./default_config'), {endpoint_domain}, config_options));
+    const credentials = {user_agent, client_id, client_secret, config: _.constant(config)};
+    return promise_wrap(request_handler.base_client_request(credentials, 'post', [{
+      uri: 'api/v1/access_token',
+      form: {grant_type: 'authorization_code', code, redirect_uri}
+    }]).then(token_info => {
+      if (token_info.error) {
+        throw new errors.InvalidMethodCallError(
+          `Failed to exchange the authorization code (reddit responded with '${token_info.error}').`
+        );
+      }
+      const requester = new snoowrap({
+        user_agent,
+        client_id,
+        client_secret,
+        refresh_token: token_info.refresh_token,
+        access_token: token_info.access_token
+      });
+      requester.config(config);
+      requester.token_expiration = Date.now() + token_info.expires_in * 1000;
+      requester.scope = token_info.scope.split(' ');
+      return requester;
+    }));
+  }
   _new_object (object_type, content, _has_fetched) {
     if (Array.isArray(content)) {
       return content;
@@ -55,27 +283,136 @@ const snoowrap = class {
   that one property in this parameter. To get the current configuration without modifying anything, simply omit this
   parameter.)
   * @param {string} [options.endpoint_domain='reddit.com'] The endpoint where requests should be sent
+  * @param {string} [options.oauth_base_url] The base URL for requests to reddit's OAuth API. By default, this is
+  `https://oauth.` followed by `endpoint_domain`. This can be set to any URL (including a scheme and a port, e.g.
+  `'http://localhost:8080'`) to send requests to a different server, such as a local stand-in for reddit in tests.
+  * @param {string} [options.www_base_url] The base URL for requests that are not sent to the OAuth API (e.g. requests for
+  access tokens). By default, this is `https://www.` followed by `endpoint_domain`.
+  * @param {string} [options.proxy] The URL of an HTTP(S) proxy that all requests should be sent through, e.g.
+  `'http://proxy.example.com:3128'`
+  * @param {object} [options.agent] A custom [http.Agent](https://nodejs.org/api/http.html#http_class_http_agent) (or
+  https.Agent) that should be used to send requests, e.g. to use custom TLS settings or connection pooling
   * @param {string} [options.request_delay=0] A minimum delay, in milliseconds, to enforce between API calls. If multiple
   api calls are requested during this timespan, they will be queued and sent one at a time. Setting this to more than 1 will
   ensure that reddit's ratelimit is never reached, but it will make things run slower than necessary if only a few requests
   are being sent. If this is set to zero, snoowrap will not enforce any delay between individual requests. However, it will
   still refuse to continue if reddit's enforced ratelimit (600 requests per 10 minutes) is exceeded.
+  * @param {number} [options.max_concurrent_requests=Infinity] The maximum number of requests that can be in progress at the
+  same time. Any further requests are queued until an earlier request finishes.
+  * @param {number} [options.timeout=Infinity] The maximum amount of time, in milliseconds, that a request can take once it
+  has been sent. Requests that time out fail with an `ETIMEDOUT` error. Like other network errors, timed-out GET and HEAD
+  requests are retried (see `retry_network_error_codes`), but other requests are not, since a slow request might still have
+  succeeded on reddit's end. The transport might keep sending a request after it has timed out, unless it uses the `timeout`
+  option of the request itself (as the default transport does).
+  * @param {number} [options.request_priority=0] The priority of requests from this requester. When requests are queued
+  (because of `request_delay`, `max_concurrent_requests`, or reddit's ratelimit), requests with a higher priority are sent
+  first. Requests with the same priority are sent in the order that they were made.
   * @param {string} [options.continue_after_ratelimit_error=false] Determines whether snoowrap should queue API calls if
   reddit's ratelimit is exceeded. If set to `true` when the ratelimit is exceeded, snoowrap will queue all further requests,
   and will attempt to send them again after the current ratelimit period expires (which happens every 10 minutes). If set
   to `false`, snoowrap will simply throw an error when reddit's ratelimit is exceeded.
-  * @param {Number[]} [options.retry_error_codes=[502, 503, 504, 522]] If reddit responds to a request with one of these error
-  codes, snoowrap will retry the request, up to a maximum of `options.max_retry_attempts` requests in total. (These errors
-  usually indicate that there was an temporary issue on reddit's end, and retrying the request has a decent chance of
+  * @param {boolean} [options.continue_after_action_ratelimit_error=false] Submitting posts, commenting, and sending messages
+  are subject to a separate ratelimit for each account, which is often encountered by new accounts. (reddit reports this with
+  an error such as "you are doing that too much. try again in 7 minutes.") If this is set to `true`, snoowrap will wait for
+  the given amount of time and then try again. Otherwise, it will throw a `RatelimitedError`, which has a `wait_time`
+  property containing the number of milliseconds to wait.
+  * @param {boolean} [options.ratelimit_pacing=false] If set to `true`, snoowrap will use the ratelimit information in
+  reddit's responses to spread the remaining requests in each ratelimit period evenly over the rest of that period. This
+  avoids a long pause when the ratelimit runs out, at the cost of slowing down bursts of requests. (Each period lasts 10
+  minutes, and the current state of the ratelimit is available as `ratelimit_remaining`, `ratelimit_used` and
+  `ratelimit_reset_point` on the requester.)
+  * @param {Number[]} [options.retry_error_codes=[429, 502, 503, 504, 522]] If reddit responds to a request with one of these
+  error codes, snoowrap will retry the request, up to a maximum of `options.max_retry_attempts` requests in total. (These
+  errors usually indicate that there was an temporary issue on reddit's end, and retrying the request has a decent chance of
   success.) This behavior can be disabled by simply setting this property to an empty array.
+  * @param {string[]} [options.retry_network_error_codes] If a request fails with a network error that has one of these codes,
+  snoowrap will retry it in the same way. By default, this contains `ECONNRESET`, `ETIMEDOUT`, `ESOCKETTIMEDOUT`,
+  `ECONNREFUSED`, `EPIPE` and `EAI_AGAIN`. Only GET and HEAD requests are retried after network errors, since other requests
+  might have reached reddit before the error occurred, and sending them again could perform an action twice.
   * @param {number} [options.max_retry_attempts=3] See `retry_error_codes`.
+  * @param {number} [options.retry_delay=1000] The base delay, in milliseconds, before retrying a request. The delay is
+  randomized, and its upper limit doubles after each attempt. If reddit's response contains a `Retry-After` header, that is
+  used instead.
+  * @param {number} [options.max_retry_delay=30000] The maximum delay, in milliseconds, before retrying a request (unless
+  reddit's `Retry-After` header asks for a longer delay)
+  * @param {number} [options.token_refresh_margin=30000] The number of milliseconds before an access token's expiration time
+  at which snoowrap should refresh it. This prevents requests from being sent with a token that expires while they are in
+  transit.
+  * @param {boolean} [options.coalesce_requests=true] If this is `true`, identical GET requests that are made while one of
+  them is still in progress are combined into a single request to reddit. (For example, this happens if the same Subreddit is
+  fetched in several places at once.) Each caller still receives its own objects.
+  * @param {boolean} [options.batch_fetches=false] If this is `true`, calls to `fetch()` on Comments, Submissions and
+  Subreddits that are made at the same time (i.e. in the same tick) are combined into requests to reddit's `/api/info`
+  endpoint, which returns up to 100 items at a time. This can greatly reduce the number of requests that are needed to fetch
+  a large number of items. However, Submissions that are fetched this way don't include their comments, and Subreddits
+  that don't exist are rejected with a {@link NotFoundError}. (Calls to `refresh()` are never combined.)
+  * @param {boolean} [options.dry_run=false] If this is `true`, requests that would modify anything on reddit (i.e. all
+  requests that are not GET requests) are not sent. Instead, they are recorded (see {@link snoowrap#get_dry_run_actions}),
+  and they succeed immediately with an empty response, so that code that sends them keeps running. This can be used to see
+  what a bot would do before letting it make any changes. Methods that return new content (e.g.
+  {@link ReplyableContent#reply} or {@link snoowrap#submit_selfpost}) return a placeholder object of the right class instead,
+  which has a `dry_run` property set to `true` and no other properties.
+  * @param {object} [options.audit_sink=null] An audit sink (such as a {@link JsonlFileAuditSink}) that every request which
+  modifies something on reddit should be reported to. Each report contains the account, the snoowrap method (e.g.
+  `'remove'`), the target of the method, the parameters of the request, the result, and a timestamp. If the name of the
+  account isn't known yet, it is fetched (which requires the `identity` scope) before the first report.
+  * @param {object} [options.cache=null] A response cache (such as a {@link snoowrap.caches.MemoryCache}). If this is set,
+  snoowrap stores the responses to GET requests in the cache and reuses them, which saves time and ratelimit budget when the
+  same content is fetched repeatedly. Cached responses are converted into new objects each time they are used, just like
+  fresh responses. To bypass the cache for a particular object, use its `refresh()` method. A cache can be shared between
+  requesters that use different accounts, since each cached response is only used by requesters with the same account.
+  * @param {number|function} [options.cache_ttl=60000] The number of milliseconds for which cached responses should be used.
+  This can also be a function, which is called with the path and the query parameters of each request (e.g.
+  `'r/AskReddit/about'` and `{}`) and returns the number of milliseconds for that request. This allows different endpoints
+  to be cached for different amounts of time. Responses are not cached if the time is 0.
+  * @param {object} [options.logger=snoowrap.loggers.console_logger] The logger that snoowrap should write log records to.
+  This can be any object with `debug`, `info`, `warn` and `error` methods. See {@link snoowrap.loggers.console_logger} for a
+  description of the log records.
+  * @param {string} [options.log_level='warn'] The minimum level of log records that should be passed to the logger. This can
+  be `'debug'`, `'info'`, `'warn'` or `'error'`. At the `debug` level, snoowrap logs every request and response.
   * @param {boolean} [options.suppress_warnings=false] snoowrap may occasionally log relevant warnings, such as deprecation
-  notices, to the console. These can be disabled by setting this to `true`.
+  notices and ratelimit notices. These can be disabled by setting this to `true`, which has the same effect as setting
+  `log_level` to `'error'`.
+  * @param {function} [options.transport=snoowrap.transports.request_transport] The function that sends HTTP requests. This
+  can be replaced to use a different HTTP client, or to return fake responses in tests. See
+  {@link snoowrap.transports.request_transport} for a description of the interface that a transport needs to implement.
   * @returns {object} An updated Object containing all of the configuration values
+  * @throws {InvalidMethodCallError} If an unknown config option is given, or if an option has an invalid value. In this case,
+  none of the given options are applied.
   */
   config (options) {
+    validate_config(options);
     return _.assign(this._config, options);
   }
+  /**
+  * @summary Creates a requester that uses different config options, but otherwise acts like this requester.
+  * @desc The new requester shares this requester's credentials, access token and ratelimit state, so it can be created
+  cheaply, e.g. to send a few requests with a different priority or timeout. Its middleware and config are independent of this
+  requester. However, all requests from both requesters go through the same queue, which uses the `request_delay`,
+  `max_concurrent_requests` and `continue_after_ratelimit_error` options of this requester. Events from the new requester are
+  emitted to the listeners of this requester.
+  * @param {object} options The config options that should be changed for the new requester (see {@link snoowrap#config})
+  * @returns {snoowrap} A new requester
+  * @throws {InvalidMethodCallError} If an unknown config option is given, or if an option has an invalid value
+  */
+  with_config (options) {
+    validate_config(options);
+    const requester = Object.create(this);
+    _.forEach(SHARED_STATE_KEYS, key => {
+      Object.defineProperty(requester, key, {
+        get: () => this[key],
+        set: value => {
+          this[key] = value;
+        },
+        enumerable: !key.startsWith('_')
+      });
+    });
+    requester._config = copy_config(_.assign({}, this._config, options));
+    requester._middleware = _.clone(this._middleware);
+    requester._pending_requests = {};
+    requester._info_batcher = new InfoBatcher(requester);
+    return requester;
+  }
   _revoke_token (token) {
     return request_handler.base_client_request(this, 'post', [{uri: 'api/v1/revoke_token', form: {token}}]);
   }
@@ -83,8 +420,8 @@ const snoowrap = class {
   * @summary Invalidates the current access token.
   * @returns {Promise} A Promise that fulfills when this request is complete
   * @desc **Note**: This can only be used if the current requester was supplied with a `client_id` and `client_secret`. If the
-  current requester was supplied with a refresh token, it will automatically create a new access token if any more requests
-  are made after this one.
+  current requester was supplied with a refresh token (or with script/application-only credentials), it will automatically
+  create a new access token if any more requests are made after this one.
   */
   revoke_access_token () {
     return this._revoke_token(this.access_token).then(() => {
@@ -107,8 +444,9 @@ const snoowrap = class {
   }
   inspect () {
     // Hide confidential information (tokens, client IDs, etc.), as well as private properties, from the console.log output.
-    const keys_for_hidden_values = ['client_secret', 'refresh_token', 'access_token'];
-    const formatted = _(this).omitBy((value, key) => key.startsWith('_')).mapValues((value, key) => {
+    const keys_for_hidden_values = ['client_secret', 'refresh_token', 'access_token', 'password'];
+    // (Only own string-keyed properties are shown, which excludes the EventEmitter methods and symbols.)
+    const formatted = _(_.assign({}, this)).omitBy((value, key) => key.startsWith('_')).mapValues((value, key) => {
       if (_.includes(keys_for_hidden_values, key)) {
         return value && '(redacted)';
       }
@@ -116,10 +454,76 @@ const snoowrap = class {
     }).value();
     return `${constants.MODULE_NAME} ${require('util').inspect(formatted)}`;
   }
-  warn (...args) {
-    if (!this._config.suppress_warnings) {
-      console.warn(...args);
+  /**
+  * @summary Determines whether the requester's access token has the scope that a given method requires.
+  * @desc This can be used to avoid calling methods that would fail with an {@link InsufficientScopeError}, e.g. to hide
+  actions from a user interface. If the requester's scope is not known yet (because no access token has been obtained yet, or
+  because the requester was only given an access token), this returns `true`.
+  * @param {string} method_name The name of a requester method (e.g. `'get_inbox'`), or the name of a class and a method,
+  separated by a `#` (e.g. `'Subreddit#ban_user'`)
+  * @returns {boolean} `true` if the method can be used, and `false` otherwise
+  */
+  can (method_name) {
+    const class_and_method = _.includes(method_name, '#') ? method_name.split('#') : [constants.MODULE_NAME, method_name];
+    const target_class = class_and_method[0] === constants.MODULE_NAME ? snoowrap : snoowrap.objects[class_and_method[0]];
+    if (!target_class) {
+      throw new errors.InvalidMethodCallError(`Unknown class '${class_and_method[0]}'.`);
     }
+    return this._has_scope(get_required_scope(target_class, class_and_method[1]));
+  }
+  _has_scope (scope) {
+    return !scope || !this.scope || _.includes(this.scope, '*') || _.includes(this.scope, scope);
+  }
+  /**
+  * @summary The number of requests that are currently queued, waiting to be sent.
+  * @desc Requests are queued when they can't be sent immediately because of the `request_delay` or
+  `max_concurrent_requests` settings, or because reddit's ratelimit was exceeded. Requests that have already been sent are
+  not counted.
+  */
+  get queue_size () {
+    return this._request_queue.size;
+  }
+  /**
+  * @summary Gets the requests that were not sent because the `dry_run` config option was enabled.
+  * @desc Each entry is an object with the name of the snoowrap method that would have sent the request as its `action`
+  (e.g. `'ban_user'`), the `target` and `target_type` of the method (see {@link JsonlFileAuditSink}), the HTTP `method`,
+  the `uri`, the `qs`, `form` and `body` of the request, and a `timestamp` in milliseconds. (The `action` is undefined if the
+  request was not sent directly by a snoowrap method.)
+  * @returns {object[]} An Array of the recorded requests, in the order that they would have been sent
+  */
+  get_dry_run_actions () {
+    return _.clone(this._dry_run_actions);
+  }
+  /**
+  * @summary Adds a middleware function, which can inspect or change every API request that this requester sends.
+  * @desc A middleware function is called with two arguments: the outgoing request, and a `next` function. The request is an
+  object with the same properties that are passed to a transport (see {@link snoowrap.transports.request_transport}), and
+  `next(request)` sends it on to the next middleware function (or to reddit, if there are no more middleware functions). It
+  returns a Promise for the response, which is an object with `status_code`, `headers` and `body` properties. The body has
+  already been parsed from JSON, but it has not yet been converted into snoowrap objects.
+
+  A middleware function should return the response (or a Promise for it). This means that it can modify the request before
+  passing it to `next`, modify the response before returning it, return a different response without calling `next` at all
+  (e.g. to use cached data), or reject the request by throwing an error. Middleware functions are called in the order that
+  they were added, and they only apply to requests that are sent to reddit's OAuth API.
+  * @param {function} middleware The middleware function
+  * @returns {snoowrap} This requester, to allow calls to be chained
+  */
+  use (middleware) {
+    if (typeof middleware !== 'function') {
+      throw new errors.InvalidMethodCallError('Middleware must be a function.');
+    }
+    this._middleware.push(middleware);
+    return this;
+  }
+  _log (level, message, details) {
+    const min_level = this._config.suppress_warnings ? 'error' : this._config.log_level;
+    if (constants.LOG_LEVELS.indexOf(level) >= constants.LOG_LEVELS.indexOf(min_level)) {
+      this._config.logger[level](_.assign({level, message}, details));
+    }
+  }
+  warn (...args) {
+    this._log('warn', args.join(' '));
   }
   /**
   * @summary Gets information on the requester's own user profile.
@@ -175,6 +579,91 @@ const snoowrap = class {
     return this._new_object('PrivateMessage', {name: `t4_${message_id}`});
   }
   /**
+  * @summary Fetches several Comments, Submissions and/or Subreddits at once.
+  * @desc Up to 100 items are fetched with each request, so this is much faster than fetching each item individually. Note
+  that the fetched Submissions don't include their comments.
+  * @param {Array} ids An Array of fullnames (e.g. `['t1_c0b6xx0', 't3_2np694', 't5_2qh1i']`). The Array may also contain
+  unfetched Comment, Submission or Subreddit objects with a `name` property, such as the objects that are returned by
+  {@link snoowrap#get_comment}.
+  * @returns {Promise} A Promise for an Array of the fetched items. Items that don't exist are left out.
+  */
+  get_content_by_ids (ids) {
+    if (!Array.isArray(ids)) {
+      throw new errors.InvalidMethodCallError('Expected an Array of fullnames.');
+    }
+    const fullnames = _.map(ids, id => typeof id === 'string' ? id : id.name);
+    return Promise.map(_.chunk(fullnames, 100), chunk => this._get({uri: 'api/info', qs: {id: chunk.join(',')}}))
+      .then(listings => _.flatMap(listings, _.toArray));
+  }
+  /**
+  * @summary Rebuilds a snoowrap object from data that was created by its `serialize()` method.
+  * @desc This can be used to restore content that was stored in a cache or passed between processes (see
+  {@link RedditContent#serialize}). The rebuilt object has the same class as the original object, and it and all the objects
+  that it contains (including Listings such as the comments of a Submission) use this requester to send requests.
+  * @param {object|string} data The result of calling `serialize()` on a snoowrap object or Listing, or that result as a JSON
+  string
+  * @returns {RedditContent|Listing} The rebuilt object
+  */
+  from_json (data) {
+    return helpers._deserialize(typeof data === 'string' ? JSON.parse(data) : data, this);
+  }
+  /**
+  * @summary Gets the content that a reddit URL links to.
+  * @desc This recognizes links to submissions and comments (including short links such as `https://redd.it/2np694`), users,
+  subreddits, wiki pages, live threads and multireddits. Instead of a full URL, this also accepts a URL without a protocol
+  (e.g. `redd.it/2np694`) or a path that starts with a slash (e.g. `/u/not_an_aardvark`). If a comment permalink has a
+  `context` parameter, its value is stored as the `context` property of the returned Comment.
+  * @param {string} reddit_url The URL
+  * @returns {RedditContent} An unfetched Submission, Comment, RedditUser, Subreddit, WikiPage, LiveThread or MultiReddit
+  object. If the URL isn't a link to one of these on reddit, an `InvalidMethodCallError` is thrown.
+  * @example
+  *
+  * r.get_from_url('https://www.reddit.com/r/snoowrap_testing/comments/2np694/title/c0b6xx0?context=3')
+  * // => Comment { name: 't1_c0b6xx0', link_id: 't3_2np694', context: 3 }
+  * r.get_from_url('/r/snoowrap_testing/wiki/index')
+  * // => WikiPage { subreddit: Subreddit { display_name: 'snoowrap_testing' }, title: 'index' }
+  */
+  get_from_url (reddit_url) {
+    if (typeof reddit_url !== 'string') {
+      throw new errors.InvalidMethodCallError('Expected the URL to be a string.');
+    }
+    const has_protocol = /^[a-z]+:\/\//i.test(reddit_url);
+    const is_path = !has_protocol && reddit_url.startsWith('/');
+    const parsed_url = parse_url(has_protocol || is_path ? reddit_url : `https://${reddit_url}`, true);
+    const hostname = (parsed_url.hostname || '').toLowerCase();
+    const domain = this.config().endpoint_domain;
+    const parts = _.compact((parsed_url.pathname || '').split('/')).map(decodeURIComponent);
+    let result;
+    if (hostname === 'redd.it') {
+      result = parts.length === 1 ? this.get_submission(parts[0]) : undefined;
+    } else if (is_path || hostname === domain || hostname.endsWith(`.${domain}`)) {
+      result = get_from_path(this, parts, parsed_url.query);
+    }
+    if (!result) {
+      throw new errors.InvalidMethodCallError(`'${reddit_url}' is not a link to any content on reddit.`);
+    }
+    return result;
+  }
+  /**
+  * @summary Gets the content that has a given fullname.
+  * @desc Users and subreddits can't be looked up by their fullnames without sending a request, so this only accepts the
+  fullnames of comments, submissions, private messages and live threads. (To fetch subreddits by their fullnames, use
+  {@link snoowrap#get_content_by_ids}.)
+  * @param {string} fullname The fullname, e.g. `'t3_2np694'`
+  * @returns {RedditContent} An unfetched Comment, Submission, PrivateMessage or LiveThread object
+  * @example
+  *
+  * r.get_from_fullname('t1_c0b6xx0')
+  * // => Comment { name: 't1_c0b6xx0' }
+  */
+  get_from_fullname (fullname) {
+    const match = typeof fullname === 'string' && /^([^_]+)_(.+)$/.exec(fullname);
+    if (!match || !_.has(FULLNAME_GETTERS, match[1])) {
+      throw new errors.InvalidMethodCallError(`Unsupported fullname '${fullname}'.`);
+    }
+    return this[FULLNAME_GETTERS[match[1]]](match[2]);
+  }
+  /**
   * Gets a livethread by ID.
   * @param {string} thread_id The base36 ID of the livethread
   * @returns {LiveThread} An unfetched LiveThread object
@@ -264,10 +753,13 @@ const snoowrap = class {
     return this._post({uri: 'api/store_visits', links: _.map(links, 'name').join(',')});
   }
   _submit ({captcha_response, captcha_iden, kind, resubmit = true, send_replies = true, text, title, url, subreddit_name}) {
-    return promise_wrap(this._post({uri: 'api/submit', form: {
+    return promise_wrap(helpers._retry_after_action_ratelimit(this, () => this._post({uri: 'api/submit', form: {
       api_type, captcha: captcha_response, iden: captcha_iden, sendreplies: send_replies, sr: subreddit_name, kind, resubmit,
       text, title, url
-    }}).tap(helpers._handle_json_errors).then(result => this.get_submission(result.json.data.id)));
+    }})).tap(helpers._handle_json_errors).then(result => result.json.data.dry_run
+      ? helpers._dry_run_placeholder(this, 'Submission')
+      : this.get_submission(result.json.data.id)
+    ));
   }
   /**
   * @summary Creates a new selfpost on the given subreddit.
@@ -377,16 +869,20 @@ const snoowrap = class {
   get_controversial (subreddit_name, options) {
     return this._get_sorted_frontpage('controversial', subreddit_name, {time: options.time});
   }
-  async _select_flair ({flair_template_id, link, name, text, subreddit_name}) {
+  async _select_flair ({flair_template_id, link, name, text, subreddit_name, action = this._current_action}) {
     if (!flair_template_id) {
       throw new errors.InvalidMethodCallError('Error: No flair template ID provided');
     }
-    return await this._post({uri: `r/${await subreddit_name}/api/selectflair`, form: {
+    return await this._post({uri: `r/${await subreddit_name}/api/selectflair`, action, form: {
       api_type, flair_template_id, link, name, text}
     });
   }
-  async _assign_flair ({css_class, link, name, text, subreddit_name}) {
-    return await this._post({uri: `r/${await subreddit_name}/api/flair`, form: {api_type, name, text, link, css_class}});
+  async _assign_flair ({css_class, link, name, text, subreddit_name, action = this._current_action}) {
+    return await this._post({
+      uri: `r/${await subreddit_name}/api/flair`,
+      action,
+      form: {api_type, name, text, link, css_class}
+    });
   }
   /**
   * @summary Gets the authenticated user's unread messages.
@@ -452,9 +948,9 @@ const snoowrap = class {
     } else if (typeof from_subreddit === 'string') {
       parsed_from_sr = from_subreddit.replace(/^\/?r\//, ''); // Convert '/r/subreddit_name' to 'subreddit_name'
     }
-    return this._post({uri: 'api/compose', form: {
+    return promise_wrap(helpers._retry_after_action_ratelimit(this, () => this._post({uri: 'api/compose', form: {
       api_type, captcha, iden: captcha_iden, from_sr: parsed_from_sr, subject, text, to: parsed_to
-    }});
+    }})));
   }
   /**
   * @summary Gets a list of all oauth scopes supported by the reddit API.
@@ -524,9 +1020,10 @@ const snoowrap = class {
     subreddit_type, // This is the same as `type`, but for some reason the name is changed when fetching current settings
     wiki_edit_age,
     wiki_edit_karma,
-    wikimode = 'modonly'
+    wikimode = 'modonly',
+    action = this._current_action
   }) {
-    return promise_wrap(this._post({uri: 'api/site_admin', form: {
+    return promise_wrap(this._post({uri: 'api/site_admin', action, form: {
       allow_top, api_type, captcha, collapse_deleted_comments, comment_score_hide_mins, description, exclude_banned_modqueue,
       'header-title': header_title, hide_ads, iden: captcha_iden, lang, link_type, name, over_18, public_description,
       public_traffic, show_media, spam_comments, spam_links, spam_selfposts, sr, submit_link_label, submit_text,
@@ -691,7 +1188,10 @@ const snoowrap = class {
     return promise_wrap(this._post({
       uri: 'api/live/create',
       form: {api_type, description, nsfw, resources, title}
-    }).tap(helpers._handle_json_errors).then(result => this.get_livethread(result.json.data.id)));
+    }).tap(helpers._handle_json_errors).then(result => result.json.data.dry_run
+      ? helpers._dry_run_placeholder(this, 'LiveThread')
+      : this.get_livethread(result.json.data.id)
+    ));
   }
   /**
   * @summary Gets the user's own multireddits.
@@ -729,6 +1229,8 @@ const snoowrap = class {
   }
 };
 
+/* These send requests to reddit's OAuth API. With the `dry_run` config option, the `_post`, `_put`, `_patch` and `_del`
+helpers only record the requests (see snoowrap#get_dry_run_actions). */
 _.forEach(constants.HTTP_VERBS, type => {
   snoowrap.prototype[`_${type}`] = function (...args) {
     return promise_wrap(request_handler.oauth_request(this, type, args));
@@ -748,6 +1250,47 @@ _.forOwn(snoowrap.objects, (value, key) => {
   Object.defineProperty(value, 'name', {get: _.constant(key)});
 });
 
+/* Wrap each public method, so that the requests it sends can be labelled with it (e.g. in dry runs and audit logs). Methods
+that require a scope also throw an InsufficientScopeError before sending a request that reddit would reject with a 403 error
+anyway. The scope is looked up from the class of the object that the method is called on, since that might be a subclass of
+the class where the method is defined. */
+const get_public_method_names = target_class => _.filter(Object.getOwnPropertyNames(target_class.prototype), name => {
+  const descriptor = Object.getOwnPropertyDescriptor(target_class.prototype, name);
+  return !name.startsWith('_') && name !== 'constructor' && typeof descriptor.value === 'function';
+});
+
+_.forEach(_.uniq([snoowrap].concat(_.values(snoowrap.objects))), target_class => {
+  _.forEach(get_public_method_names(target_class), method_name => {
+    const original_method = target_class.prototype[method_name];
+    target_class.prototype[method_name] = function (...args) {
+      const requester = this instanceof snoowrap ? this : this._ac;
+      if (!requester) {
+        return original_method.apply(this, args);
+      }
+      const required_scope = get_required_scope(this.constructor, method_name);
+      if (!requester._has_scope(required_scope)) {
+        throw new errors.InsufficientScopeError(`${this.constructor.name}#${method_name}`, required_scope);
+      }
+      /* Keep track of the method that is running. This is only set while the method runs synchronously, so methods that send
+      requests after waiting for something else (e.g. for a user's ID) read it beforehand, and pass it to the request with the
+      `action` option. If one of these methods calls another one, the outer method is used. */
+      const previous_action = requester._current_action;
+      requester._current_action = previous_action || {method_name, target: this};
+      try {
+        return original_method.apply(this, args);
+      } finally {
+        requester._current_action = previous_action;
+      }
+    };
+  });
+});
+
 snoowrap.helpers = helpers;
 snoowrap.errors = errors;
+snoowrap.token_stores = token_stores;
+snoowrap.transports = transports;
+snoowrap.loggers = require('./loggers');
+snoowrap.caches = require('./caches');
+snoowrap.audit_sinks = require('./audit_sinks');
+snoowrap.fixtures = require('./fixtures');
 module.exports = snoowrap;
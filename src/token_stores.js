@@ -0,0 +1,61 @@
+'use strict';
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = Promise.promisifyAll(require('fs'));
+
+/**
+* @summary A token store that keeps access tokens in memory.
+* @desc This is the default token store for a requester. A token store is any object with a `get()` method that returns a
+Promise for the most recently-stored token (or `undefined` if there is none), and a `set(token)` method that returns a Promise
+that fulfills once the token has been stored. Tokens are objects with `access_token`, `token_expiration` (a timestamp in
+milliseconds) and `scope` (an Array of scope names) properties.
+
+Custom token stores (e.g. backed by a database) can be passed to the snoowrap constructor with the `token_store` option.
+This allows access tokens to survive process restarts, and to be shared between several processes that use the same
+credentials.
+*/
+exports.MemoryTokenStore = class {
+  /**
+  * @summary Gets the most recently-stored token.
+  * @returns {Promise} A Promise that fulfills with the stored token, or with `undefined` if no token has been stored
+  */
+  get () {
+    return Promise.resolve(this._token);
+  }
+  /**
+  * @summary Stores a token, replacing any previously-stored token.
+  * @param {object} token The token to store
+  * @returns {Promise} A Promise that fulfills when the token has been stored
+  */
+  set (token) {
+    this._token = token;
+    return Promise.resolve();
+  }
+};
+
+/**
+* @summary A token store that keeps access tokens in a JSON file.
+* @desc Since the file contains a valid access token, it is created so that only its owner can read it.
+* @param {object} $0
+* @param {string} $0.path The path of the JSON file. It will be created when the first token is stored.
+*/
+exports.FileTokenStore = class {
+  constructor ({path}) {
+    this.path = path;
+  }
+  /**
+  * @summary Gets the token that is currently stored in the file.
+  * @returns {Promise} A Promise that fulfills with the stored token, or with `undefined` if the file does not exist yet
+  */
+  get () {
+    return fs.readFileAsync(this.path, 'utf8').then(JSON.parse).catch({code: 'ENOENT'}, _.noop);
+  }
+  /**
+  * @summary Writes a token to the file, replacing any previously-stored token.
+  * @param {object} token The token to store
+  * @returns {Promise} A Promise that fulfills when the file has been written
+  */
+  set (token) {
+    return fs.writeFileAsync(this.path, JSON.stringify(token), {mode: 0o600});
+  }
+};
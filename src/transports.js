@@ -0,0 +1,57 @@
+'use strict';
+const Promise = require('bluebird');
+const _ = require('lodash');
+const request = require('request-promise');
+const helpers = require('./helpers');
+
+/**
+* @summary The default transport, which sends requests with the [request](https://github.com/request/request) library.
+* @desc A transport is a function that sends a single HTTP request and returns a Promise for the raw response. snoowrap
+handles everything else (authentication, ratelimits, retries, and parsing the response), so a transport only needs to
+send exactly what it is given. A different transport can be used by passing it to {@link snoowrap#config}, e.g. to send
+requests with a different HTTP client, or to return fake responses in tests.
+* @param {object} $0 The request to send
+* @param {string} $0.method The uppercase HTTP method (e.g. `'GET'`)
+* @param {string} $0.url The URL to send the request to, without a query string
+* @param {object} $0.headers The request headers
+* @param {object} $0.qs The query parameters that should be added to the URL
+* @param {object} [$0.form] Parameters that should be sent in an `application/x-www-form-urlencoded` request body
+* @param {object} [$0.formData] Parameters that should be sent in a `multipart/form-data` request body. Values may be
+strings, Buffers, or readable streams.
+* @param {string} [$0.body] A raw request body
+* @param {number} [$0.timeout] The number of milliseconds after which the request should be abandoned. snoowrap enforces this
+itself, so transports may ignore it, but they can use it to close the connection.
+* @param {AbortSignal} [$0.signal] A signal that is aborted if the request is cancelled. As with `timeout`, this is optional
+for transports to support.
+* @param {string} [$0.proxy] The URL of a proxy that the request should be sent through, from the requester's `proxy`
+config option
+* @param {object} [$0.agent] The http.Agent that should be used to send the request, from the requester's `agent` config
+option
+* @returns {Promise} A Promise that fulfills with an object containing the `status_code`, the `headers` (with lowercase
+names), and the `body` (as a string) of the response. The Promise should only be rejected if no response was received
+(e.g. because of a network error). Responses with error status codes should fulfill the Promise as usual.
+*/
+exports.request_transport = ({method, url, headers, qs, form, formData, body, timeout, signal, proxy, agent}) => {
+  const pending_request = request({
+    method,
+    url,
+    headers,
+    qs,
+    form,
+    formData,
+    body,
+    timeout,
+    proxy,
+    agent,
+    simple: false,
+    resolveWithFullResponse: true
+  });
+  const remove_abort_listener = signal ? helpers._on_abort(signal, () => pending_request.abort()) : _.noop;
+  return Promise.resolve(pending_request).then(
+    response => ({status_code: response.statusCode, headers: response.headers, body: response.body}),
+    err => {
+      // Reject with the underlying network error (e.g. ECONNRESET) rather than request-promise's wrapper.
+      throw err.cause || err;
+    }
+  ).finally(remove_abort_listener);
+};
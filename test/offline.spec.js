@@ -0,0 +1,712 @@
+'use strict';
+const expect = require('chai').use(require('dirty-chai')).expect;
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const EventEmitter = require('events').EventEmitter;
+const snoowrap = require('..');
+const errors = require('../lib/errors');
+
+// These tests don't send any requests to reddit, so they can run without credentials.
+describe('snoowrap (offline)', function () {
+  this.timeout(10000);
+  let requester, sent_requests;
+  beforeEach(() => {
+    requester = new snoowrap({user_agent: 'a', access_token: 'b'});
+    sent_requests = [];
+    requester.config({transport: request => {
+      sent_requests.push(request);
+      return Promise.resolve({
+        status_code: request.url.endsWith('api/v1/me') ? 200 : 404,
+        headers: {'x-ratelimit-remaining': '500', 'x-ratelimit-reset': '100'},
+        body: JSON.stringify({name: 'fake_user', error: 404})
+      });
+    }});
+  });
+
+  describe('authorization code flow', () => {
+    it('can get an authorization URL', () => {
+      const url = snoowrap.get_auth_url({
+        client_id: 'a', scope: ['identity', 'read'], redirect_uri: 'https://b.com', state: 'c'
+      });
+      expect(url).to.equal(
+        'https://www.reddit.com/api/v1/authorize?client_id=a&response_type=code&state=c&redirect_uri=https%3A%2F%2Fb.com&' +
+        'duration=permanent&scope=identity%20read'
+      );
+    });
+    it('throws an error if no scopes are provided for an authorization URL', () => {
+      const invalid_call = () => snoowrap.get_auth_url({client_id: 'a', scope: [], redirect_uri: 'b'});
+      expect(invalid_call).to.throw(errors.InvalidMethodCallError);
+    });
+    it('checks the config options before using an authorization code', () => {
+      const exchange_requests = [];
+      const invalid_call = () => snoowrap.from_auth_code({
+        user_agent: 'a', client_id: 'b', code: 'c', redirect_uri: 'https://b.com',
+        config: {transport: request => exchange_requests.push(request), timout: 1000}
+      });
+      expect(invalid_call).to.throw(errors.InvalidMethodCallError, "Unknown config option 'timout'.");
+      expect(exchange_requests).to.be.empty();
+    });
+    it('gives requesters from authorization codes their own copy of the default config', async () => {
+      const token_info = {access_token: 'd', refresh_token: 'e', expires_in: 3600, scope: 'identity read'};
+      const code_requester = await snoowrap.from_auth_code({
+        user_agent: 'a', client_id: 'b', code: 'c', redirect_uri: 'https://b.com',
+        config: {transport: () => ({status_code: 200, headers: {}, body: JSON.stringify(token_info)})}
+      });
+      expect(code_requester.scope).to.eql(['identity', 'read']);
+      code_requester.config().retry_error_codes.push(999);
+      expect(new snoowrap({user_agent: 'a', access_token: 'b'}).config().retry_error_codes).not.to.include(999);
+    });
+  });
+
+  describe('access tokens', () => {
+    let token_requester, token_requests, token_response;
+    beforeEach(() => {
+      token_requester = new snoowrap({user_agent: 'a', client_id: 'b', client_secret: 'c', refresh_token: 'd'});
+      token_requests = [];
+      token_response = {expires_in: 3600, scope: 'identity read'};
+      token_requester.config({transport: request => {
+        if (request.url.endsWith('api/v1/access_token')) {
+          token_requests.push(request);
+          const body = _.assign({access_token: `token_${token_requests.length}`}, token_response);
+          return Promise.delay(10).return({status_code: 200, headers: {}, body: JSON.stringify(body)});
+        }
+        return requester.config().transport(request);
+      }});
+    });
+    it('rejects with a RedditAPIError if reddit refuses to issue an access token', async () => {
+      token_response = {error: 'invalid_grant'};
+      await token_requester.get_me().then(expect.fail, err => {
+        expect(err).to.be.an.instanceof(errors.RedditAPIError);
+        expect(err.code).to.equal('INVALID_GRANT');
+        expect(err.message).to.contain("'refresh_token' grant");
+      });
+      expect(token_requests).to.have.lengthOf(1);
+      expect(sent_requests).to.be.empty();
+    });
+    it('requests only one access token for many concurrent requests', async () => {
+      await Promise.all(_.times(5, index => token_requester._get({uri: 'api/v1/me', qs: {n: index}})));
+      expect(token_requests).to.have.lengthOf(1);
+      expect(sent_requests).to.have.lengthOf(5);
+      expect(_.map(sent_requests, 'headers.authorization')).to.eql(_.times(5, _.constant('bearer token_1')));
+    });
+    it('refreshes the access token when it is about to expire', async () => {
+      // The token expires in 20 seconds, which is less than the default refresh margin of 30 seconds.
+      token_response.expires_in = 20;
+      await token_requester.get_me();
+      await token_requester._get({uri: 'api/v1/me', qs: {n: 1}});
+      expect(token_requests).to.have.lengthOf(2);
+      token_requester.config({token_refresh_margin: 0});
+      await token_requester._get({uri: 'api/v1/me', qs: {n: 2}});
+      expect(token_requests).to.have.lengthOf(2);
+      expect(_.last(sent_requests).headers.authorization).to.equal('bearer token_2');
+    });
+    it('gets a new access token and retries the request once after a 401 response', async () => {
+      token_requester.use((request, next) => {
+        const is_rejected = request.headers.authorization === 'bearer token_1';
+        return is_rejected ? {status_code: 401, headers: {}, body: {message: 'Unauthorized', error: 401}} : next(request);
+      });
+      expect(await token_requester.get_me().name).to.equal('fake_user');
+      expect(token_requests).to.have.lengthOf(2);
+      expect(sent_requests).to.have.lengthOf(1);
+      expect(sent_requests[0].headers.authorization).to.equal('bearer token_2');
+    });
+    it('does not retry a request more than once after 401 responses', async () => {
+      let attempt_count = 0;
+      token_requester.use(() => {
+        attempt_count++;
+        return {status_code: 401, headers: {}, body: {message: 'Unauthorized', error: 401}};
+      });
+      await token_requester.get_me().then(expect.fail, err => expect(err.status_code).to.equal(401));
+      expect(attempt_count).to.equal(2);
+      expect(token_requests).to.have.lengthOf(2);
+    });
+    describe('FileTokenStore', () => {
+      let token_path;
+      beforeEach(() => {
+        token_path = path.join(os.tmpdir(), `snoowrap_token_${Date.now()}.json`);
+      });
+      afterEach(() => {
+        if (fs.existsSync(token_path)) {
+          fs.unlinkSync(token_path);
+        }
+      });
+      it('stores tokens in a file that only its owner can read', async () => {
+        const token_store = new snoowrap.token_stores.FileTokenStore({path: token_path});
+        expect(await token_store.get()).to.be.undefined();
+        const token = {access_token: 'e', token_expiration: Date.now() + 3600000, scope: ['identity']};
+        await token_store.set(token);
+        expect(await new snoowrap.token_stores.FileTokenStore({path: token_path}).get()).to.eql(token);
+        expect(fs.statSync(token_path).mode & 0o777).to.equal(0o600);
+      });
+      it('uses a stored token that has not expired instead of requesting a new one', async () => {
+        const token_store = new snoowrap.token_stores.FileTokenStore({path: token_path});
+        await token_store.set({access_token: 'stored_token', token_expiration: Date.now() + 3600000, scope: ['identity']});
+        const stored_token_requester = new snoowrap({
+          user_agent: 'a', client_id: 'b', client_secret: 'c', refresh_token: 'd', token_store
+        });
+        stored_token_requester.config({transport: token_requester.config().transport});
+        expect(await stored_token_requester.get_me().name).to.equal('fake_user');
+        expect(token_requests).to.be.empty();
+        expect(sent_requests[0].headers.authorization).to.equal('bearer stored_token');
+        expect(stored_token_requester.scope).to.eql(['identity']);
+      });
+    });
+  });
+
+  describe('oauth scopes', () => {
+    beforeEach(() => {
+      requester.scope = ['identity', 'read'];
+    });
+    it('throws an InsufficientScopeError before sending a request that needs a missing scope', () => {
+      const invalid_call = () => requester.get_subreddit('snoowrap_testing').ban_user({name: 'not_an_aardvark'});
+      expect(invalid_call).to.throw(errors.InsufficientScopeError);
+    });
+    it('uses the scope of the most specific class when checking inherited methods', () => {
+      expect(requester.can('Comment#reply')).to.be.false();
+      requester.scope.push('submit');
+      expect(requester.can('Comment#reply')).to.be.true();
+      expect(requester.can('PrivateMessage#reply')).to.be.false();
+    });
+    it('checks the scope for refreshing content in the same way as for fetching it', () => {
+      expect(requester.can('PrivateMessage#refresh')).to.be.false();
+      expect(requester.can('Submission#refresh')).to.be.true();
+      expect(() => requester.get_message('abc').refresh()).to.throw(errors.InsufficientScopeError);
+    });
+    it('can tell whether a method is available with the current scope', () => {
+      expect(requester.can('get_me')).to.be.true();
+      expect(requester.can('get_inbox')).to.be.false();
+      expect(requester.can('Subreddit#ban_user')).to.be.false();
+      expect(requester.can('get_user')).to.be.true();
+    });
+  });
+
+  describe('config', () => {
+    it('keeps a separate config for each requester', () => {
+      requester.config({request_delay: 1000});
+      expect(new snoowrap({user_agent: 'a', access_token: 'b'}).config().request_delay).to.equal(0);
+    });
+    it('throws an error for unknown config options and invalid values', () => {
+      expect(() => requester.config({request_dleay: 1000})).to.throw(errors.InvalidMethodCallError);
+      expect(() => requester.config({request_delay: '1000'})).to.throw(errors.InvalidMethodCallError);
+      expect(() => requester.with_config({log_level: 'loud'})).to.throw(errors.InvalidMethodCallError);
+      expect(requester.config().request_delay).to.equal(0);
+    });
+    it('can create a requester with different config options that shares credentials and state', () => {
+      const scoped_requester = requester.with_config({request_priority: 5});
+      expect(scoped_requester.config().request_priority).to.equal(5);
+      expect(requester.config().request_priority).to.equal(0);
+      expect(scoped_requester.access_token).to.equal('b');
+      scoped_requester.ratelimit_remaining = 100;
+      expect(requester.ratelimit_remaining).to.equal(100);
+      expect(scoped_requester.get_user('not_an_aardvark')._ac).to.equal(scoped_requester);
+    });
+    it('does not share config arrays with a requester created by with_config', () => {
+      const scoped_requester = requester.with_config({request_priority: 5});
+      scoped_requester.config().retry_network_error_codes.push('ENOTFOUND');
+      expect(requester.config().retry_network_error_codes).not.to.include('ENOTFOUND');
+    });
+  });
+
+  describe('transports and middleware', () => {
+    it('sends requests through the configured transport', async () => {
+      expect(await requester.get_me().name).to.equal('fake_user');
+      expect(sent_requests[0].method).to.equal('GET');
+      expect(sent_requests[0].url).to.equal('https://oauth.reddit.com/api/v1/me');
+      expect(sent_requests[0].headers.authorization).to.equal('bearer b');
+      expect(requester.ratelimit_remaining).to.equal(500);
+    });
+    it('uses the configured base URL, proxy and agent', async () => {
+      const agent = new http.Agent();
+      requester.config({oauth_base_url: 'http://localhost:8080/', proxy: 'http://localhost:3128', agent});
+      await requester.get_me();
+      expect(sent_requests[0].url).to.equal('http://localhost:8080/api/v1/me');
+      expect(sent_requests[0].proxy).to.equal('http://localhost:3128');
+      expect(sent_requests[0].agent).to.equal(agent);
+    });
+    it('rejects responses with error status codes', async () => {
+      await requester.get_user('not_an_aardvark').fetch().then(expect.fail, err => {
+        expect(err).to.be.an.instanceof(errors.NotFoundError);
+        expect(err).to.be.an.instanceof(errors.RedditAPIError);
+        expect(err.status_code).to.equal(404);
+        expect(err.code).to.equal('NOT_FOUND');
+      });
+    });
+    it('converts errors in JSON responses into RedditAPIErrors', async () => {
+      const json_errors = [['BAD_CAPTCHA', 'care to try these again?', 'captcha']];
+      requester.use(() => ({status_code: 200, headers: {}, body: {json: {errors: json_errors}}}));
+      await requester.compose_message({to: 'not_an_aardvark', subject: 'a', text: 'b'}).then(expect.fail, err => {
+        expect(err).to.be.an.instanceof(errors.BadCaptchaError);
+        expect(err.code).to.equal('BAD_CAPTCHA');
+        expect(err.field).to.equal('captcha');
+        expect(err.request.form.to).to.equal('not_an_aardvark');
+      });
+    });
+    it('converts errors from image uploads into RedditAPIErrors', async () => {
+      const body = {errors: ['IMAGE_ERROR'], errors_values: ['Invalid image or general image error'], img_src: ''};
+      requester.use(() => ({status_code: 200, headers: {}, body}));
+      const file = new stream.Readable({read: _.noop});
+      await requester.get_subreddit('snoowrap_testing').upload_icon({file}).then(expect.fail, err => {
+        expect(err).to.be.an.instanceof(errors.RedditAPIError);
+        expect(err.code).to.equal('IMAGE_ERROR');
+        expect(err.message).to.contain('Invalid image or general image error');
+      });
+    });
+    it('passes requests and responses through middleware', async () => {
+      requester.use((request, next) => {
+        request.headers['x-trace-id'] = 'c';
+        return next(request).then(response => _.assign(response, {body: {name: 'modified_user'}}));
+      });
+      expect(await requester.get_me().name).to.equal('modified_user');
+      expect(sent_requests[0].headers['x-trace-id']).to.equal('c');
+    });
+    it('allows middleware to respond without sending a request', async () => {
+      requester.use(() => ({status_code: 200, headers: {}, body: {kind: 't2', data: {name: 'cached_user'}}}));
+      const user = await requester.get_user('cached_user').fetch();
+      expect(user).to.be.an.instanceof(snoowrap.objects.RedditUser);
+      expect(sent_requests).to.be.empty();
+    });
+  });
+
+  describe('events and logging', () => {
+    it('emits events for each request and response', async () => {
+      const events = [];
+      _.forEach(['request', 'response', 'error'], event_name => {
+        requester.on(event_name, event => events.push(_.assign({event_name}, event)));
+      });
+      await requester.get_me();
+      await requester.get_user('not_an_aardvark').fetch().catch(_.noop);
+      expect(_.map(events, 'event_name')).to.eql(['request', 'response', 'request', 'response', 'error']);
+      expect(events[0].method).to.equal('GET');
+      expect(events[0].url).to.equal('https://oauth.reddit.com/api/v1/me');
+      expect(events[1].status_code).to.equal(200);
+      expect(events[1].duration).to.be.a('number');
+      expect(events[1].ratelimit_remaining).to.equal(500);
+      expect(events[4].status_code).to.equal(404);
+    });
+    it('writes structured log records to the configured logger', async () => {
+      const records = [];
+      const logger = _.zipObject(['debug', 'info', 'warn', 'error'], _.times(4, () => record => records.push(record)));
+      requester.config({logger, log_level: 'debug'});
+      await requester.get_me();
+      expect(_.map(records, 'level')).to.eql(['debug', 'debug']);
+      expect(records[0].uri).to.equal('api/v1/me');
+      expect(records[1].message).to.equal('Received status code 200 from https://oauth.reddit.com/api/v1/me');
+      expect(records[1].ratelimit_remaining).to.equal(500);
+      requester.config({log_level: 'warn'});
+      await requester.get_me();
+      expect(records).to.have.lengthOf(2);
+    });
+  });
+
+  describe('response cache', () => {
+    it('reuses cached responses to GET requests until they expire', async () => {
+      requester.config({cache: new snoowrap.caches.MemoryCache(), cache_ttl: 1000});
+      const first_user = await requester.get_me();
+      const second_user = await requester.get_me();
+      expect(second_user).to.be.an.instanceof(snoowrap.objects.RedditUser);
+      expect(second_user).not.to.equal(first_user);
+      expect(second_user.name).to.equal('fake_user');
+      expect(sent_requests).to.have.lengthOf(1);
+      await requester.get_user('fake_user').refresh().catch(_.noop);
+      await requester.get_user('fake_user').refresh().catch(_.noop);
+      expect(sent_requests).to.have.lengthOf(3);
+      requester.config({cache_ttl: 0});
+      await requester.get_user('fake_user').fetch().catch(_.noop);
+      expect(sent_requests).to.have.lengthOf(4);
+    });
+    it('does not share cached responses between requesters with different accounts', async () => {
+      const cache = new snoowrap.caches.MemoryCache();
+      const transport = request => {
+        sent_requests.push(request);
+        const name = request.headers.authorization === 'bearer alice_token' ? 'alice' : 'bob';
+        return {status_code: 200, headers: {}, body: JSON.stringify({name})};
+      };
+      const alice = new snoowrap({user_agent: 'a', access_token: 'alice_token'});
+      const bob = new snoowrap({user_agent: 'a', access_token: 'bob_token'});
+      alice.config({cache, transport});
+      bob.config({cache, transport});
+      expect(await alice.get_me().name).to.equal('alice');
+      expect(await bob.get_me().name).to.equal('bob');
+      expect(await alice.with_config({request_priority: 1}).get_me().name).to.equal('alice');
+      expect(sent_requests).to.have.lengthOf(2);
+    });
+    it('evicts the least-recently-used entries from a MemoryCache', async () => {
+      const cache = new snoowrap.caches.MemoryCache({max_entries: 2});
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+      await cache.get('a');
+      await cache.set('c', 3);
+      expect(await cache.get('a')).to.equal(1);
+      expect(await cache.get('b')).to.be.undefined();
+      expect(await cache.get('c')).to.equal(3);
+    });
+  });
+
+  describe('request coalescing and batching', () => {
+    it('combines identical GET requests that are in progress at the same time', async () => {
+      const other_user = requester.get_user('not_an_aardvark').fetch().catch(_.noop);
+      const users = await Promise.all([requester.get_me(), requester.get_me(), other_user]);
+      expect(sent_requests).to.have.lengthOf(2);
+      expect(users[0]).not.to.equal(users[1]);
+      expect(users[1].name).to.equal('fake_user');
+      await Promise.all([requester.get_me(), requester.get_me()]);
+      expect(sent_requests).to.have.lengthOf(3);
+      requester.config({coalesce_requests: false});
+      await Promise.all([requester.get_me(), requester.get_me()]);
+      expect(sent_requests).to.have.lengthOf(5);
+    });
+    it('combines fetches into requests to /api/info if batch_fetches is enabled', async () => {
+      requester.use(request => {
+        sent_requests.push(request);
+        const children = _.map(request.qs.id.split(','), name => ({kind: 't1', data: {name, link_id: 't3_a'}}));
+        return {status_code: 200, headers: {}, body: {kind: 'Listing', data: {children}}};
+      });
+      requester.config({batch_fetches: true});
+      const comments = await Promise.all(_.times(150, index => requester.get_comment(`c${index}`).fetch()));
+      expect(sent_requests).to.have.lengthOf(2);
+      expect(comments[149]).to.be.an.instanceof(snoowrap.objects.Comment);
+      expect(comments[149].name).to.equal('t1_c149');
+      expect(comments[149].replies).to.be.an.instanceof(snoowrap.objects.Listing);
+      const fetched = await requester.get_content_by_ids(['t1_a', requester.get_comment('b')]);
+      expect(_.map(fetched, 'name')).to.eql(['t1_a', 't1_b']);
+    });
+    it('fetches content that is not available from /api/info individually if batch_fetches is enabled', async () => {
+      requester.config({batch_fetches: true, coalesce_requests: false});
+      requester.use(request => {
+        sent_requests.push(request);
+        return {status_code: 200, headers: {}, body: {kind: 't2', data: {name: 'not_an_aardvark'}}};
+      });
+      expect(await requester.get_user('not_an_aardvark').fetch().name).to.equal('not_an_aardvark');
+      expect(sent_requests).to.have.lengthOf(1);
+      expect(sent_requests[0].url).to.equal('https://oauth.reddit.com/user/not_an_aardvark/about');
+    });
+  });
+
+  describe('request queue', () => {
+    it('sends queued requests in order of priority', async () => {
+      requester.config({max_concurrent_requests: 1});
+      const requests = [
+        requester._get({uri: 'api/v1/me'}),
+        requester._get({uri: 'api/v1/me', qs: {n: 1}}),
+        requester._get({uri: 'api/v1/me', qs: {n: 2}, priority: 1})
+      ];
+      expect(requester.queue_size).to.equal(2);
+      await Promise.all(requests);
+      expect(_.map(sent_requests, 'qs.n')).to.eql([undefined, 2, 1]);
+      expect(requester.queue_size).to.equal(0);
+    });
+    it('spreads requests over the ratelimit period if ratelimit pacing is enabled', async () => {
+      requester.config({ratelimit_pacing: true});
+      await requester.get_me();
+      const start_time = Date.now();
+      // The fake transport reports 500 remaining requests for the next 100 seconds, i.e. one request every 200ms.
+      await requester.get_me();
+      expect(Date.now() - start_time).to.be.at.least(150);
+    });
+    it('removes a queued request from the queue if its signal is aborted', async () => {
+      requester.config({max_concurrent_requests: 1});
+      // A minimal AbortSignal, since any object with the same interface can be used to cancel requests.
+      const emitter = new EventEmitter();
+      const signal = _.assign(emitter, {addEventListener: emitter.on, removeEventListener: emitter.removeListener});
+      const first_request = requester.get_me();
+      const cancelled_request = requester._get({uri: 'api/v1/me', signal}).catch(_.identity);
+      signal.aborted = true;
+      signal.emit('abort');
+      expect(requester.queue_size).to.equal(0);
+      await first_request;
+      expect(await cancelled_request).to.be.an.instanceof(errors.RequestCancelledError);
+      expect(sent_requests).to.have.lengthOf(1);
+    });
+  });
+
+  describe('retries and timeouts', () => {
+    it('retries an action after the wait time from a RATELIMIT error, if configured to do so', async () => {
+      const ratelimit_errors = [['RATELIMIT', 'you are doing that too much. try again in 1 second.', 'ratelimit']];
+      let attempt_count = 0;
+      requester.use(() => {
+        attempt_count++;
+        return {status_code: 200, headers: {}, body: {json: {errors: attempt_count === 1 ? ratelimit_errors : []}}};
+      });
+      await requester.compose_message({to: 'not_an_aardvark', subject: 'a', text: 'b'}).then(expect.fail, err => {
+        expect(err).to.be.an.instanceof(errors.RatelimitedError);
+        expect(err.wait_time).to.equal(1000);
+      });
+      requester.config({continue_after_action_ratelimit_error: true, suppress_warnings: true});
+      attempt_count = 0;
+      await requester.compose_message({to: 'not_an_aardvark', subject: 'a', text: 'b'});
+      expect(attempt_count).to.equal(2);
+    });
+    it('retries requests after temporary errors, with a delay', async () => {
+      const retry_events = [];
+      requester.on('retry', retry_event => retry_events.push(retry_event));
+      requester.config({retry_delay: 10, suppress_warnings: true});
+      let attempt_count = 0;
+      requester.use((request, next) => {
+        attempt_count++;
+        if (attempt_count === 1) {
+          return Promise.reject(_.assign(new Error(), {code: 'ECONNRESET'}));
+        }
+        return attempt_count === 2 ? {status_code: 503, headers: {'retry-after': '0'}, body: ''} : next(request);
+      });
+      expect(await requester.get_me().name).to.equal('fake_user');
+      expect(_.map(retry_events, 'attempt')).to.eql([2, 3]);
+      expect(retry_events[1].delay).to.equal(0);
+    });
+    it('does not retry requests that modify something after network errors', async () => {
+      requester.config({retry_delay: 10});
+      requester.use(request => {
+        sent_requests.push(request);
+        return Promise.reject(_.assign(new Error(), {code: 'ECONNRESET'}));
+      });
+      await requester.get_comment('c0b6xx0').remove().then(expect.fail, err => expect(err.code).to.equal('ECONNRESET'));
+      expect(sent_requests).to.have.lengthOf(1);
+    });
+    it('fails requests that take longer than the timeout', async () => {
+      requester.config({timeout: 10, max_retry_attempts: 1});
+      requester.use(() => Promise.delay(1000));
+      await requester.get_me().then(expect.fail, err => expect(err.code).to.equal('ETIMEDOUT'));
+    });
+    it('retries timed-out GET requests, but not requests that modify something', async () => {
+      requester.config({timeout: 10, retry_delay: 0, suppress_warnings: true});
+      requester.use((request, next) => {
+        sent_requests.push(request);
+        return sent_requests.length === 1 ? Promise.delay(1000) : next(request);
+      });
+      expect(await requester.get_me().name).to.equal('fake_user');
+      expect(sent_requests).to.have.lengthOf(3);
+      sent_requests = [];
+      await requester.get_comment('c0b6xx0').remove().then(expect.fail, err => expect(err.code).to.equal('ETIMEDOUT'));
+      expect(sent_requests).to.have.lengthOf(1);
+    });
+  });
+
+  describe('dry runs', () => {
+    it('records write requests instead of sending them in dry runs', async () => {
+      requester.config({dry_run: true});
+      await requester.get_subreddit('snoowrap_testing').ban_user({name: 'not_an_aardvark', ban_reason: 'a'});
+      await requester.get_comment('c0b6xx0').remove();
+      await requester.get_me();
+      expect(sent_requests).to.have.lengthOf(1);
+      const actions = requester.get_dry_run_actions();
+      expect(_.map(actions, 'action')).to.eql(['ban_user', 'remove']);
+      expect(actions[0].method).to.equal('POST');
+      expect(actions[0].form.name).to.equal('not_an_aardvark');
+      expect(actions[1].form.id).to.equal('t1_c0b6xx0');
+    });
+    it('labels write requests in dry runs with methods that send them after waiting for other requests', async () => {
+      requester.config({dry_run: true});
+      requester.use(request => ({status_code: 200, headers: {}, body: request.url.endsWith('about/edit')
+        ? {title: 'snoowrap testing'}
+        : {kind: 't5', data: {name: 't5_abc', display_name: 'snoowrap_testing'}}
+      }));
+      const subreddit = requester.get_subreddit('snoowrap_testing');
+      await subreddit.edit_settings({title: 'new title'});
+      await subreddit.subscribe();
+      const actions = requester.get_dry_run_actions();
+      expect(_.map(actions, 'action')).to.eql(['edit_settings', 'subscribe']);
+      expect(_.map(actions, 'uri')).to.eql(['api/site_admin', 'api/subscribe']);
+      expect(actions[0].form.title).to.equal('new title');
+    });
+    it('labels write requests in dry runs with methods that do not require a scope', async () => {
+      requester.config({dry_run: true});
+      await requester.get_new_captcha_identifier();
+      expect(requester.get_dry_run_actions()[0].action).to.equal('get_new_captcha_identifier');
+      expect(requester.get_dry_run_actions()[0].uri).to.equal('api/new_captcha');
+    });
+    it('returns placeholders for new content in dry runs', async () => {
+      requester.config({dry_run: true});
+      const submission = await requester.submit_selfpost({subreddit_name: 'snoowrap_testing', title: 'a', text: 'b'});
+      expect(submission).to.be.an.instanceof(snoowrap.objects.Submission);
+      expect(submission.dry_run).to.be.true();
+      expect(submission.title).to.be.undefined();
+      const reply = await requester.get_comment('c0b6xx0').reply('c');
+      expect(reply).to.be.an.instanceof(snoowrap.objects.Comment);
+      expect(reply.dry_run).to.be.true();
+      expect(sent_requests).to.be.empty();
+    });
+    it('resolves image uploads in dry runs', async () => {
+      requester.config({dry_run: true});
+      const subreddit = requester.get_subreddit('snoowrap_testing');
+      const file = new stream.Readable({read: _.noop});
+      expect(await subreddit.upload_icon({file})).to.equal(subreddit);
+      await subreddit.upload_stylesheet_image({name: 'a', file});
+      expect(_.map(requester.get_dry_run_actions(), 'action')).to.eql(['upload_icon', 'upload_stylesheet_image']);
+      expect(sent_requests).to.be.empty();
+    });
+  });
+
+  describe('audit sinks', () => {
+    it('reports write requests to the audit sink', async () => {
+      const audit_path = path.join(os.tmpdir(), `snoowrap_audit_${Date.now()}.jsonl`);
+      requester.config({audit_sink: new snoowrap.audit_sinks.JsonlFileAuditSink({path: audit_path})});
+      requester.use((request, next) => request.method === 'POST' ? {status_code: 200, headers: {}, body: {}} : next(request));
+      await requester.get_comment('c0b6xx0').remove();
+      await requester.get_subreddit('snoowrap_testing').ban_user({name: 'not_an_aardvark'});
+      const entries = _.map(fs.readFileSync(audit_path, 'utf8').trim().split('\n'), JSON.parse);
+      fs.unlinkSync(audit_path);
+      expect(entries).to.have.lengthOf(2);
+      expect(entries[0].account).to.equal('fake_user');
+      expect(entries[0].action).to.equal('remove');
+      expect(entries[0].target).to.equal('t1_c0b6xx0');
+      expect(entries[0].params.id).to.equal('t1_c0b6xx0');
+      expect(entries[0].result).to.equal('success');
+      expect(entries[1].action).to.equal('ban_user');
+      expect(entries[1].target).to.equal('snoowrap_testing');
+    });
+    it('reports write requests that are sent after other requests to the audit sink', async () => {
+      const entries = [];
+      requester.config({audit_sink: {write: entry => Promise.resolve(entries.push(entry))}});
+      requester.use(request => {
+        if (request.method === 'POST') {
+          return {status_code: 200, headers: {}, body: {json: {errors: []}}};
+        }
+        return {status_code: 200, headers: {}, body: request.url.endsWith('about/edit')
+          ? {title: 'snoowrap testing'}
+          : {kind: 't5', data: {name: 't5_abc', display_name: 'snoowrap_testing'}}
+        };
+      });
+      requester.own_user_info = requester.get_user('fake_user');
+      await requester.get_subreddit('snoowrap_testing').edit_settings({title: 'new title'});
+      expect(entries).to.have.lengthOf(1);
+      expect(entries[0].action).to.equal('edit_settings');
+      expect(entries[0].target).to.equal('snoowrap_testing');
+      expect(entries[0].target_type).to.equal('Subreddit');
+      expect(entries[0].uri).to.equal('api/site_admin');
+      expect(entries[0].params.title).to.equal('new title');
+      expect(entries[0].result).to.equal('success');
+    });
+    it('only looks up the account name for audit entries once, even if the lookup fails', async () => {
+      const entries = [];
+      requester.config({audit_sink: {write: entry => Promise.resolve(entries.push(entry))}});
+      requester.use(request => {
+        sent_requests.push(request);
+        return request.method === 'POST'
+          ? {status_code: 200, headers: {}, body: {}}
+          : {status_code: 403, headers: {}, body: {message: 'Forbidden', error: 403}};
+      });
+      await requester.get_comment('a').upvote();
+      await requester.get_comment('b').upvote();
+      await requester.get_comment('c').upvote();
+      expect(_.map(sent_requests, 'method')).to.eql(['POST', 'GET', 'POST', 'POST']);
+      expect(_.map(entries, 'account')).to.eql([undefined, undefined, undefined]);
+    });
+    it('identifies targets by their fullnames, or by their subreddit and title for wiki pages', async () => {
+      const entries = [];
+      requester.config({audit_sink: {write: entry => Promise.resolve(entries.push(entry))}});
+      requester.use(() => ({status_code: 200, headers: {}, body: {json: {errors: []}}}));
+      requester.own_user_info = requester.get_user('fake_user');
+      await requester.get_subreddit('snoowrap_testing').get_wiki_page('index').edit({text: 'a'});
+      await requester.get_livethread('whrdxo8dg9n0').close_thread();
+      await requester._new_object('RedditUser', {name: 'not_an_aardvark', id: 'abc'}, true).give_gold(1);
+      await requester.get_user('not_an_aardvark').give_gold(1);
+      expect(_.map(entries, 'target')).to.eql([
+        'snoowrap_testing/index', 'LiveUpdateEvent_whrdxo8dg9n0', 't2_abc', 'not_an_aardvark'
+      ]);
+      expect(_.map(entries, 'target_type')).to.eql(['WikiPage', 'LiveThread', 'RedditUser', 'RedditUser']);
+    });
+  });
+
+  describe('serialization', () => {
+    it('can serialize content and rebuild it with its class and pagination state', async () => {
+      requester.use(request => {
+        sent_requests.push(request);
+        if (request.url.endsWith('api/info')) {
+          const children = _.map(request.qs.id.split(','), name => ({kind: 't1', data: {name, link_id: 't3_a'}}));
+          return {status_code: 200, headers: {}, body: {kind: 'Listing', data: {children}}};
+        }
+        return {status_code: 200, headers: {}, body: [
+          {kind: 'Listing', data: {children: [{kind: 't3', data: {name: 't3_a', author: 'not_an_aardvark'}}]}},
+          {kind: 'Listing', data: {children: [
+            {kind: 't1', data: {name: 't1_b', link_id: 't3_a', replies: ''}},
+            {kind: 'more', data: {children: ['c', 'd']}}
+          ]}}
+        ]};
+      });
+      const submission = await requester.get_submission('a').fetch();
+      const rebuilt = requester.from_json(JSON.stringify(submission.serialize()));
+      expect(rebuilt).to.be.an.instanceof(snoowrap.objects.Submission);
+      expect(rebuilt.author).to.be.an.instanceof(snoowrap.objects.RedditUser);
+      expect(rebuilt.author.name).to.equal('not_an_aardvark');
+      expect(rebuilt.comments).to.be.an.instanceof(snoowrap.objects.Listing);
+      expect(rebuilt.comments[0]).to.be.an.instanceof(snoowrap.objects.Comment);
+      expect(rebuilt.comments.is_finished).to.be.false();
+      await rebuilt.comments.fetch_all();
+      expect(_.last(sent_requests).qs.id).to.equal('t1_c,t1_d');
+      expect(_.map(rebuilt.comments, 'name')).to.eql(['t1_b', 't1_c', 't1_d']);
+      const comment = requester.from_json(requester.get_comment('b').serialize());
+      expect(comment).to.be.an.instanceof(snoowrap.objects.Comment);
+      expect(comment.name).to.equal('t1_b');
+    });
+  });
+
+  describe('getting content from URLs and fullnames', () => {
+    it('can get content from reddit URLs and fullnames', () => {
+      const comment_url = 'https://www.reddit.com/r/snoowrap_testing/comments/2np694/title/c0b6xx0?context=3';
+      const comment = requester.get_from_url(comment_url);
+      expect(comment).to.be.an.instanceof(snoowrap.objects.Comment);
+      expect(comment.name).to.equal('t1_c0b6xx0');
+      expect(comment.link_id).to.equal('t3_2np694');
+      expect(comment.context).to.equal(3);
+      expect('context' in requester.get_from_url(comment_url.replace('context=3', 'context=abc'))).to.be.false();
+      expect('context' in requester.get_from_url(comment_url.replace('context=3', 'context=-1'))).to.be.false();
+      expect(requester.get_from_url('https://redd.it/2np694').name).to.equal('t3_2np694');
+      expect(requester.get_from_url('old.reddit.com/comments/2np694').name).to.equal('t3_2np694');
+      expect(requester.get_from_url('/u/not_an_aardvark').name).to.equal('not_an_aardvark');
+      expect(requester.get_from_url('/r/snoowrap_testing/').display_name).to.equal('snoowrap_testing');
+      const wiki_page = requester.get_from_url('https://www.reddit.com/r/snoowrap_testing/wiki/config/sidebar');
+      expect(wiki_page).to.be.an.instanceof(snoowrap.objects.WikiPage);
+      expect(wiki_page.title).to.equal('config/sidebar');
+      expect(requester.get_from_url('https://www.reddit.com/live/whrdxo8dg9n0').id).to.equal('whrdxo8dg9n0');
+      const multireddit = requester.get_from_url('https://www.reddit.com/user/not_an_aardvark/m/multi');
+      expect(multireddit).to.be.an.instanceof(snoowrap.objects.MultiReddit);
+      expect(multireddit.path).to.equal('/user/not_an_aardvark/m/multi');
+      expect(() => requester.get_from_url('https://example.com/r/snoowrap_testing')).to.throw(errors.InvalidMethodCallError);
+      expect(requester.get_from_fullname('t3_2np694')).to.be.an.instanceof(snoowrap.objects.Submission);
+      expect(requester.get_from_fullname('t1_c0b6xx0').name).to.equal('t1_c0b6xx0');
+      expect(requester.get_from_fullname('LiveUpdateEvent_whrdxo8dg9n0').id).to.equal('whrdxo8dg9n0');
+      expect(() => requester.get_from_fullname('t2_abc')).to.throw(errors.InvalidMethodCallError);
+      expect(sent_requests).to.be.empty();
+    });
+  });
+
+  describe('fixtures', () => {
+    let directory;
+    beforeEach(() => {
+      directory = path.join(os.tmpdir(), `snoowrap_fixtures_${Date.now()}`);
+    });
+    afterEach(() => {
+      if (fs.existsSync(directory)) {
+        _.forEach(fs.readdirSync(directory), file_name => fs.unlinkSync(path.join(directory, file_name)));
+        fs.rmdirSync(directory);
+      }
+    });
+    it('can replay recorded requests without sending them', async () => {
+      let response_count = 0;
+      const fake_transport = () => Promise.resolve({
+        status_code: 200,
+        headers: {},
+        body: JSON.stringify({name: `user_${response_count++}`, access_token: 'c'})
+      });
+      requester.config({transport: snoowrap.fixtures.recording_transport({directory, transport: fake_transport})});
+      expect(await requester.get_me().name).to.equal('user_0');
+      expect(await requester.get_me().name).to.equal('user_1');
+      requester.config({transport: snoowrap.fixtures.replay_transport({directory})});
+      expect(await requester.get_me().name).to.equal('user_0');
+      expect(await requester.get_me().name).to.equal('user_1');
+      expect(response_count).to.equal(2);
+      _.forEach(fs.readdirSync(directory), file_name => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(directory, file_name), 'utf8'));
+        expect(JSON.parse(fixture.response.body).access_token).to.equal('[REDACTED]');
+      });
+    });
+    it('fails with a clear error if a fixture is missing', async () => {
+      requester.config({transport: snoowrap.fixtures.replay_transport({directory})});
+      await requester.get_me().then(expect.fail, err => expect(err).to.be.an.instanceof(errors.MissingFixtureError));
+    });
+  });
+});
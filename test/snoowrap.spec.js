@@ -40,6 +40,66 @@ describe('snoowrap', function () {
     it('does not throw an error if a user_agent, client_id, client_secret, and refresh_token are provided', () => {
       expect(() => new snoowrap({user_agent: 'a', client_id: 'b', client_secret: 'c', refresh_token: 'd'})).not.to.throw();
     });
+    it('does not throw an error if a user_agent, client_id, client_secret, username, and password are provided', () => {
+      expect(() => new snoowrap({user_agent: 'a', client_id: 'b', client_secret: 'c', username: 'd', password: 'e'}))
+        .not.to.throw();
+    });
+    it('does not throw an error if only a user_agent and client_id are provided for application-only access', () => {
+      expect(() => new snoowrap({user_agent: 'a', client_id: 'b', app_only: true})).not.to.throw();
+    });
+    it('can use application-only access for read-only requests', async () => {
+      const app_only_requester = new snoowrap({
+        user_agent: r.user_agent, client_id: r.client_id, client_secret: r.client_secret, app_only: true
+      });
+      expect(await app_only_requester.get_user('snoowrap_testing').created_utc).to.equal(1453703196);
+    });
+  });
+
+  describe('access token storage', () => {
+    let requester;
+    beforeEach(() => {
+      requester = new snoowrap(_.assign(_.pick(r, 'user_agent', 'client_id', 'client_secret', 'refresh_token'), {
+        token_store: new snoowrap.token_stores.MemoryTokenStore()
+      }));
+    });
+    it('emits a token_refreshed event and stores the new token when the access token is refreshed', async () => {
+      const refresh_event = new Promise(resolve => requester.once('token_refreshed', resolve));
+      await requester.get_me();
+      const new_token = await refresh_event;
+      expect(new_token.access_token).to.equal(requester.access_token);
+      expect(await requester.token_store.get()).to.eql(new_token);
+    });
+    it('only refreshes the access token once if several requests need a new token at the same time', async () => {
+      let refresh_count = 0;
+      requester.on('token_refreshed', () => refresh_count++);
+      await Promise.all([requester.get_me(), requester.get_karma(), requester.get_preferences()]);
+      expect(refresh_count).to.equal(1);
+    });
+    it('gets a new access token if reddit rejects the current one', async () => {
+      await requester.get_me();
+      const old_token = requester.access_token;
+      await requester.revoke_access_token();
+      requester.access_token = old_token;
+      expect(await requester.get_me().name).to.be.a('string');
+      expect(requester.access_token).to.not.equal(old_token);
+    });
+    it('uses a valid token from the token store instead of refreshing it', async () => {
+      await r.get_me();
+      await requester.token_store.set(_.pick(r, 'access_token', 'token_expiration', 'scope'));
+      requester.on('token_refreshed', expect.fail);
+      await requester.get_me();
+      expect(requester.access_token).to.equal(r.access_token);
+    });
+  });
+
+  describe('authorization code flow', () => {
+    it('rejects an invalid authorization code', async () => {
+      const credentials = {user_agent: 'a', client_id: r.client_id, client_secret: r.client_secret};
+      await snoowrap.from_auth_code(_.assign({code: 'invalid', redirect_uri: 'https://b.com'}, credentials)).then(
+        expect.fail,
+        err => expect(err).to.be.an.instanceof(errors.InvalidMethodCallError)
+      );
+    });
   });
 
   describe('getting a user profile', () => {